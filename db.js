@@ -1,96 +1,171 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const { migrate } = require('./lib/migrations');
 
 const DB_PATH = path.join(__dirname, 'gather.db');
 let db = null;
+let opening = null;
 
-async function getDb() {
-  if (db) return db;
+// The shared database, opened (and migrated) on first use
+function getDb() {
+  if (db) return Promise.resolve(db);
+  if (!opening) {
+    opening = openDb().catch(err => {
+      opening = null;
+      throw err;
+    });
+  }
+  return opening;
+}
 
+async function openDb() {
   const SQL = await initSqlJs();
+  const existed = fs.existsSync(DB_PATH);
+  const database = existed ? new SQL.Database(fs.readFileSync(DB_PATH)) : new SQL.Database();
 
-  if (fs.existsSync(DB_PATH)) {
-    const buffer = fs.readFileSync(DB_PATH);
-    db = new SQL.Database(buffer);
-  } else {
-    db = new SQL.Database();
+  // Bring the schema up to date, keeping a copy of the file as it was first.
+  // A failed migration leaves db unset, so nothing runs against a half-migrated schema.
+  const applied = migrate(database, {
+    beforeMigrating: ({ current }) => {
+      if (existed) console.log(`  Backed up the database to ${backupDb(`v${current}`)} before migrating`);
+    }
+  });
+  if (applied.length) {
+    writeDbFile(database);
+    console.log(`  Applied ${applied.length} migration(s), now at schema version ${applied[applied.length - 1].version}`);
   }
-
-  // Create tables
-  db.run(`
-    CREATE TABLE IF NOT EXISTS events (
-      id TEXT PRIMARY KEY,
-      title TEXT NOT NULL,
-      description TEXT,
-      date TEXT NOT NULL,
-      start_time TEXT NOT NULL,
-      end_time TEXT NOT NULL,
-      location TEXT NOT NULL,
-      capacity INTEGER NOT NULL DEFAULT 50,
-      price REAL NOT NULL DEFAULT 0,
-      ticket_type TEXT NOT NULL DEFAULT 'free',
-      cover_image TEXT,
-      cover_gradient TEXT DEFAULT 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-      accent_color TEXT DEFAULT '#7c3aed',
-      status TEXT DEFAULT 'published',
-      user_id TEXT,
-      host_name TEXT,
-      host_email TEXT,
-      slug TEXT UNIQUE NOT NULL,
-      custom_slug INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      email TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      created_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS attendees (
-      id TEXT PRIMARY KEY,
-      event_id TEXT NOT NULL,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      qr_code TEXT,
-      checked_in INTEGER DEFAULT 0,
-      checked_in_at TEXT,
-      cancelled INTEGER DEFAULT 0,
-      cancel_token TEXT,
-      created_at TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY (event_id) REFERENCES events(id)
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS waitlist (
-      id TEXT PRIMARY KEY,
-      event_id TEXT NOT NULL,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      notified INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY (event_id) REFERENCES events(id)
-    )
-  `);
-
-  saveDb();
+  db = database;
   return db;
 }
 
+// ─── Persistence ──────────────────────────────────────
+//
+// The database lives in memory and is written out whole, so saveDb() doesn't
+// write straight away: it marks the database changed and a flush follows once
+// writes settle (FLUSH_DELAY_MS), or after MAX_FLUSH_DELAY_MS at the latest
+// while they keep coming. Each flush goes to a temporary file that is then
+// renamed over gather.db, so a crash mid-write never leaves a torn file.
+// flushDb() writes immediately; the server calls it on shutdown.
+
+const FLUSH_DELAY_MS = parseInt(process.env.DB_FLUSH_DELAY_MS) || 250;
+const MAX_FLUSH_DELAY_MS = parseInt(process.env.DB_MAX_FLUSH_DELAY_MS) || 2000;
+
+let dirtySince = null;
+let flushTimer = null;
+let flushing = null;
+
 function saveDb() {
-  if (db) {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
+  if (!db) return;
+  if (!dirtySince) dirtySince = Date.now();
+  clearTimeout(flushTimer);
+  const wait = Math.max(0, Math.min(FLUSH_DELAY_MS, dirtySince + MAX_FLUSH_DELAY_MS - Date.now()));
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushInBackground();
+  }, wait);
+}
+
+function flushInBackground() {
+  // One write at a time; changes made meanwhile go out in the next one
+  if (flushing) return flushing.then(() => dirtySince && flushInBackground());
+  if (!dirtySince) return Promise.resolve();
+
+  dirtySince = null;
+  const data = Buffer.from(db.export());
+  flushing = writeFileAtomic(DB_PATH, data)
+    .catch(err => {
+      console.error('Failed to save the database:', err);
+      saveDb();
+    })
+    .finally(() => { flushing = null; });
+  return flushing;
+}
+
+async function writeFileAtomic(file, data) {
+  const temp = `${file}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(temp, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
   }
+  await fs.promises.rename(temp, file);
+}
+
+// Writes any unsaved changes now, synchronously. Safe to call from exit handlers.
+function flushDb() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!db || !dirtySince) return;
+  dirtySince = null;
+  writeDbFile(db);
+}
+
+// Writes a database to gather.db straight away, through a temporary file
+function writeDbFile(database) {
+  const temp = `${DB_PATH}.${process.pid}.tmp`;
+  const fd = fs.openSync(temp, 'w');
+  try {
+    fs.writeSync(fd, Buffer.from(database.export()));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temp, DB_PATH);
+}
+
+// ─── Transactions ─────────────────────────────────────
+
+const openTransactions = new WeakSet();
+
+// Runs fn() as one transaction: all of its writes land, or none do if it
+// throws. fn must be synchronous, since statements from other requests would
+// otherwise run inside the transaction while it waits. A transaction started
+// inside another simply joins it.
+function transaction(database, fn) {
+  if (openTransactions.has(database)) return fn();
+
+  database.run('BEGIN');
+  openTransactions.add(database);
+  try {
+    const result = fn();
+    if (result && typeof result.then === 'function') {
+      throw new Error('transaction() needs a synchronous function');
+    }
+    database.run('COMMIT');
+    return result;
+  } catch (err) {
+    database.run('ROLLBACK');
+    throw err;
+  } finally {
+    openTransactions.delete(database);
+  }
+}
+
+// Runs async work one caller at a time per key. For work that checks then
+// writes with awaits in between (capacity checks before issuing tickets with
+// QR codes), where a transaction can't span the awaits.
+const lockQueues = new Map();
+
+function withLock(key, fn) {
+  const run = (lockQueues.get(key) || Promise.resolve()).then(() => fn());
+  const tail = run.catch(() => {});
+  lockQueues.set(key, tail);
+  tail.then(() => {
+    if (lockQueues.get(key) === tail) lockQueues.delete(key);
+  });
+  return run;
+}
+
+// Copies the database file next to itself, as gather.db.<label>-<timestamp>.bak.
+// Returns the copy's path.
+function backupDb(label = 'backup') {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = `${DB_PATH}.${label}-${stamp}.bak`;
+  fs.copyFileSync(DB_PATH, target);
+  return target;
 }
 
-module.exports = { getDb, saveDb };
+module.exports = { DB_PATH, getDb, saveDb, flushDb, writeDbFile, transaction, withLock, backupDb };
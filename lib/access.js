@@ -0,0 +1,207 @@
+// Event visibility and access to private events.
+//
+//   public    listed on browse and in search
+//   unlisted  left out of browse, but anyone with the link can view and register
+//   private   needs a personal invitation link (?invite=<token>) or the event's
+//             access code; the visitor's session remembers either one
+//
+// Access is granted per series, so an invitation to one date of a recurring
+// private event opens the others too. Hosts and team members always have access.
+// Codes can be guessed, so each IP gets CODE_GUESS_LIMIT tries per event every
+// CODE_GUESS_WINDOW_MS.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getRole } = require('./permissions');
+const { slidingWindow, tooManyRequests } = require('./rate-limit');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const MAX_INVITATIONS = 200;
+const MIN_CODE_LENGTH = 8;
+const MAX_CODE_LENGTH = 32;
+const CODE_GUESS_LIMIT = 10;
+const CODE_GUESS_WINDOW_MS = 15 * 60 * 1000;
+
+const codeGuesses = slidingWindow({ limit: CODE_GUESS_LIMIT, windowMs: CODE_GUESS_WINDOW_MS });
+
+// Validates the visibility settings from the create/edit forms.
+// Returns { visibility, accessCode } or { error }. Only private events keep a code.
+function normalizeVisibility(visibility, accessCode) {
+  const value = visibility || 'public';
+  if (!VISIBILITIES.includes(value)) return { error: 'Visibility must be public, unlisted or private' };
+  if (value !== 'private') return { visibility: value, accessCode: null };
+
+  const code = String(accessCode || '').trim();
+  if (code && !new RegExp(`^[A-Za-z0-9-]{${MIN_CODE_LENGTH},${MAX_CODE_LENGTH}}$`).test(code)) {
+    return { error: `Access codes are ${MIN_CODE_LENGTH}–${MAX_CODE_LENGTH} letters, numbers or hyphens` };
+  }
+  return { visibility: value, accessCode: code || null };
+}
+
+function accessKey(event) {
+  return event.series_id || event.id;
+}
+
+// Codes are typed by hand, so case doesn't matter
+function codeMatches(event, code) {
+  if (!event.access_code || !code) return false;
+  const hash = value => crypto.createHash('sha256').update(String(value).trim().toUpperCase()).digest();
+  return crypto.timingSafeEqual(hash(event.access_code), hash(code));
+}
+
+// An active invitation for this event or another date in its series
+function findInvitation(db, event, token) {
+  if (!token || typeof token !== 'string') return null;
+  const stmt = db.prepare(`
+    SELECT i.*, e.series_id FROM event_invitations i JOIN events e ON e.id = i.event_id
+    WHERE i.token = ? AND i.revoked = 0
+  `);
+  stmt.bind([token]);
+  const invitation = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  if (!invitation) return null;
+  const sameEvent = invitation.event_id === event.id || (event.series_id && invitation.series_id === event.series_id);
+  return sameEvent ? invitation : null;
+}
+
+// Revoking an invitation also shuts out sessions that already used it
+function isRevoked(db, invitationId) {
+  const stmt = db.prepare('SELECT revoked FROM event_invitations WHERE id = ?');
+  stmt.bind([invitationId]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return !row || !!row.revoked;
+}
+
+function recordInvitationUse(db, invitation) {
+  const now = new Date().toISOString();
+  db.run(
+    'UPDATE event_invitations SET use_count = use_count + 1, first_used_at = COALESCE(first_used_at, ?), last_used_at = ? WHERE id = ?',
+    [now, now, invitation.id]
+  );
+}
+
+// Whether the request may see and register for the event. A valid invitation
+// token or access code on the request is remembered in the session.
+// Callers saveDb() when `recorded` is set. `retryAfter` (seconds) is set when
+// the visitor has run out of code guesses; denyAccess() answers either case.
+function checkAccess(db, req, event) {
+  if (event.visibility !== 'private') return { allowed: true };
+  if (getRole(db, event, req.session && req.session.user)) return { allowed: true };
+
+  const grants = (req.session && req.session.eventAccess) || {};
+  const key = accessKey(event);
+  if (grants[key] && (grants[key].via !== 'invitation' || !isRevoked(db, grants[key].invitation_id))) {
+    return { allowed: true, grant: grants[key] };
+  }
+
+  const source = { ...req.query, ...(req.body || {}) };
+  const invitation = findInvitation(db, event, source.invite);
+  let grant = null;
+  if (invitation) {
+    recordInvitationUse(db, invitation);
+    grant = { via: 'invitation', invitation_id: invitation.id };
+  } else if (source.access_code) {
+    const retryAfter = codeGuesses.hit(`${req.ip}:${event.slug}`);
+    if (retryAfter) return { allowed: false, retryAfter };
+    if (codeMatches(event, source.access_code)) grant = { via: 'code' };
+  }
+  if (!grant) return { allowed: false };
+
+  req.session.eventAccess = { ...grants, [key]: grant };
+  return { allowed: true, grant, recorded: !!invitation };
+}
+
+// Body for the 403 sent to visitors without access. Says nothing about the event.
+function accessDenied(event) {
+  return { error: 'This event is private', private: true, accepts_code: !!event.access_code };
+}
+
+// Turns away a visitor checkAccess() didn't allow: a 429 once they've guessed
+// too many codes, otherwise accessDenied() with an optional message
+function denyAccess(res, event, access, error = null) {
+  if (access.retryAfter) return tooManyRequests(res, access.retryAfter, 'Too many access code attempts');
+  const body = accessDenied(event);
+  return res.status(403).json(error ? { ...body, error } : body);
+}
+
+// Strips the access code from event rows shown to people who can't edit the event
+function publicEvent(event) {
+  const { access_code, ...rest } = event;
+  return rest;
+}
+
+// ─── Invitations ──────────────────────────────────────
+
+function invitationUrl(event, invitation) {
+  return `${BASE_URL}/event/${event.slug}?invite=${invitation.token}`;
+}
+
+// Creates one personal link per invitee ({ name, email }; either may be blank)
+function createInvitations(db, event, invitees, userId) {
+  return invitees.map(invitee => {
+    const invitation = {
+      id: uuidv4(),
+      event_id: event.id,
+      name: invitee.name || null,
+      email: invitee.email || null,
+      token: crypto.randomBytes(16).toString('hex')
+    };
+    db.run(
+      'INSERT INTO event_invitations (id, event_id, name, email, token, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [invitation.id, event.id, invitation.name, invitation.email, invitation.token, userId]
+    );
+    return invitation;
+  });
+}
+
+// Invitations with what each invitee has done: opened the link, registered
+function listInvitations(db, event) {
+  const stmt = db.prepare(`
+    SELECT i.*, a.name AS attendee_name, a.cancelled AS attendee_cancelled, a.approval_status AS attendee_status
+    FROM event_invitations i LEFT JOIN attendees a ON a.id = i.attendee_id
+    WHERE i.event_id = ? ORDER BY i.created_at DESC, i.rowid DESC
+  `);
+  stmt.bind([event.id]);
+  const invitations = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    invitations.push({
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      url: invitationUrl(event, row),
+      revoked: !!row.revoked,
+      use_count: row.use_count,
+      first_used_at: row.first_used_at,
+      last_used_at: row.last_used_at,
+      registered: !!row.attendee_id && !row.attendee_cancelled,
+      attendee_name: row.attendee_name,
+      attendee_status: row.attendee_status,
+      created_at: row.created_at
+    });
+  }
+  stmt.free();
+  return invitations;
+}
+
+// Links the registration made through an invitation back to it
+function recordInvitationRegistration(db, grant, attendeeId) {
+  if (!grant || grant.via !== 'invitation') return;
+  db.run('UPDATE event_invitations SET attendee_id = ? WHERE id = ?', [attendeeId, grant.invitation_id]);
+}
+
+module.exports = {
+  VISIBILITIES,
+  MAX_INVITATIONS,
+  normalizeVisibility,
+  checkAccess,
+  accessDenied,
+  denyAccess,
+  publicEvent,
+  invitationUrl,
+  createInvitations,
+  listInvitations,
+  recordInvitationRegistration
+};
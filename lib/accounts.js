@@ -0,0 +1,252 @@
+// Account security: email verification, password reset links, signing out
+// other sessions and deleting an account.
+//
+// Reset and verification links carry a random token; only its SHA-256 hash is
+// stored in account_tokens. A token works once, until it expires, and asking
+// for a new one retires any earlier ones with the same purpose.
+//
+// Every session remembers the user's session_version from when it logged in.
+// Changing or resetting the password bumps the version, and checkSession()
+// drops the user from any session still holding the old one.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, saveDb, transaction } = require('../db');
+const { releaseEvent, refundPaidOrders, deleteEventRows } = require('./lifecycle');
+const { closeStreams } = require('./live');
+const { nextSequence } = require('./calendar');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const TOKEN_TTL_MS = {
+  reset: 60 * 60 * 1000,
+  verify: 24 * 60 * 60 * 1000
+};
+
+function getUser(db, id) {
+  const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
+  stmt.bind([id]);
+  const user = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return user;
+}
+
+function findUserByEmail(db, email) {
+  const stmt = db.prepare('SELECT * FROM users WHERE email = ?');
+  stmt.bind([email]);
+  const user = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return user;
+}
+
+// What the browser gets to see of a user
+function publicUser(user) {
+  return { id: user.id, name: user.name, email: user.email, email_verified: !!user.email_verified_at };
+}
+
+function passwordProblem(password) {
+  if (!password) return 'Password is required';
+  if (String(password).length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
+// ─── Sessions ─────────────────────────────────────────
+
+// Logs the user in under a new session id, so an id someone planted in the
+// browser beforehand (session fixation) never becomes a logged-in session.
+// Access to private events carries over.
+function logIn(req, user) {
+  const { eventAccess } = req.session;
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => {
+      if (err) return reject(err);
+      if (eventAccess) req.session.eventAccess = eventAccess;
+      req.session.user = publicUser(user);
+      req.session.sessionVersion = user.session_version || 0;
+      resolve();
+    });
+  });
+}
+
+// Signs out every session of the user; the caller logs the current one back
+// in if it should stay. Returns the new version.
+function endOtherSessions(db, user) {
+  const version = (user.session_version || 0) + 1;
+  db.run('UPDATE users SET session_version = ? WHERE id = ?', [version, user.id]);
+  return version;
+}
+
+// Middleware: forgets the session's user once their account is gone or their
+// password has changed since this session logged in, and keeps the name and
+// email in the session current.
+async function checkSession(req, res, next) {
+  if (!req.session || !req.session.user) return next();
+  try {
+    const db = await getDb();
+    const user = getUser(db, req.session.user.id);
+    if (!user || (user.session_version || 0) !== (req.session.sessionVersion || 0)) {
+      delete req.session.user;
+      delete req.session.sessionVersion;
+    } else {
+      req.session.user = publicUser(user);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ─── Tokens ───────────────────────────────────────────
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// A new single-use token for `purpose` (reset | verify), sent to `email`
+function createToken(db, user, purpose, email = user.email) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  db.run('UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [now.toISOString(), user.id, purpose]);
+  db.run(
+    'INSERT INTO account_tokens (id, user_id, purpose, token_hash, email, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [uuidv4(), user.id, purpose, hashToken(token), email, new Date(now.getTime() + TOKEN_TTL_MS[purpose]).toISOString(), now.toISOString()]
+  );
+  return token;
+}
+
+// Uses up a token. Returns { user, email } or { error }.
+function consumeToken(db, purpose, token) {
+  const stmt = db.prepare('SELECT * FROM account_tokens WHERE token_hash = ? AND purpose = ?');
+  stmt.bind([hashToken(token), purpose]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+
+  const label = purpose === 'reset' ? 'reset link' : 'verification link';
+  if (!row) return { error: `This ${label} is invalid` };
+  if (row.used_at) return { error: `This ${label} has already been used` };
+  if (new Date(row.expires_at) <= new Date()) return { error: `This ${label} has expired — ask for a new one` };
+
+  const user = getUser(db, row.user_id);
+  if (!user) return { error: `This ${label} is invalid` };
+
+  db.run('UPDATE account_tokens SET used_at = ? WHERE id = ?', [new Date().toISOString(), row.id]);
+  return { user, email: row.email };
+}
+
+// ─── Deleting an account ──────────────────────────────
+
+function getOwnedEvents(db, user) {
+  const stmt = db.prepare('SELECT * FROM events WHERE user_id = ? ORDER BY starts_at ASC, created_at ASC');
+  stmt.bind([user.id]);
+  const events = [];
+  while (stmt.step()) events.push(stmt.getAsObject());
+  stmt.free();
+  return events;
+}
+
+// The co-host who has been helping longest, or null
+function longestCohost(db, event) {
+  const stmt = db.prepare(`
+    SELECT m.id AS member_id, u.id, u.name, u.email FROM event_members m JOIN users u ON u.id = m.user_id
+    WHERE m.event_id = ? AND m.role = 'cohost' AND m.status = 'active'
+    ORDER BY m.accepted_at ASC, m.created_at ASC LIMIT 1
+  `);
+  stmt.bind([event.id]);
+  const cohost = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return cohost;
+}
+
+// What deleting the account does to each event the user owns:
+//   transfer  the longest-serving co-host becomes the owner
+//   delete    drafts nobody else helps with are deleted
+//   cancel    published events yet to end are cancelled; guests are told and refunded
+//   keep      everything else stays up, with no owner
+function planDeletion(db, user) {
+  const now = new Date();
+  return getOwnedEvents(db, user).map(event => {
+    const cohost = longestCohost(db, event);
+    const status = event.status || 'published';
+    let action = 'keep';
+    if (cohost) action = 'transfer';
+    else if (status === 'draft') action = 'delete';
+    else if (status === 'published' && (!event.ends_at || new Date(event.ends_at) > now)) action = 'cancel';
+    return { event, action, cohost };
+  });
+}
+
+function describePlan(plan) {
+  return plan.map(({ event, action, cohost }) => ({
+    slug: event.slug,
+    title: event.title,
+    date: event.date,
+    status: event.status || 'published',
+    action,
+    new_owner: cohost ? { name: cohost.name, email: cohost.email } : null
+  }));
+}
+
+// Carries out planDeletion() and removes the user. Cancellations and refunds
+// (and their emails) happen first, as they can't run inside a transaction.
+// Returns the plan that was carried out.
+async function deleteAccount(db, user) {
+  const plan = planDeletion(db, user);
+
+  for (const { event, action } of plan) {
+    if (action === 'cancel') {
+      const sequence = nextSequence(event);
+      db.run("UPDATE events SET status = 'cancelled', calendar_sequence = ? WHERE id = ?", [sequence, event.id]);
+      await releaseEvent(db, { ...event, status: 'cancelled', calendar_sequence: sequence });
+    } else if (action === 'delete') {
+      await refundPaidOrders(db, event);
+    }
+  }
+
+  transaction(db, () => {
+    for (const { event, action, cohost } of plan) {
+      if (action === 'transfer') {
+        // The host name may be an organization's, so only a personal one changes
+        const hostName = event.host_name === user.name ? cohost.name : event.host_name;
+        db.run('UPDATE events SET user_id = ?, host_name = ?, host_email = ? WHERE id = ?',
+          [cohost.id, hostName, cohost.email, event.id]);
+        db.run('DELETE FROM event_members WHERE id = ?', [cohost.member_id]);
+      } else if (action === 'delete') {
+        deleteEventRows(db, event);
+      } else {
+        db.run('UPDATE events SET user_id = NULL, host_email = NULL WHERE id = ?', [event.id]);
+      }
+    }
+
+    // A series follows its remaining occurrences to their new owner
+    db.run('DELETE FROM series WHERE user_id = ? AND NOT EXISTS (SELECT 1 FROM events e WHERE e.series_id = series.id)', [user.id]);
+    db.run(`UPDATE series SET user_id = (SELECT e.user_id FROM events e WHERE e.series_id = series.id AND e.user_id IS NOT NULL LIMIT 1)
+            WHERE user_id = ?`, [user.id]);
+
+    db.run('DELETE FROM event_members WHERE user_id = ?', [user.id]);
+    db.run('DELETE FROM account_tokens WHERE user_id = ?', [user.id]);
+    db.run('DELETE FROM users WHERE id = ?', [user.id]);
+  });
+  saveDb();
+
+  plan.filter(({ action }) => action === 'delete')
+    .forEach(({ event }) => closeStreams(event.id, { status: 'deleted', slug: event.slug }));
+  return plan;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  TOKEN_TTL_MS,
+  getUser,
+  findUserByEmail,
+  publicUser,
+  passwordProblem,
+  logIn,
+  endOtherSessions,
+  checkSession,
+  createToken,
+  consumeToken,
+  planDeletion,
+  describePlan,
+  deleteAccount
+};
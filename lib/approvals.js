@@ -0,0 +1,81 @@
+// Host approval. On events with requires_approval, registrations come in as
+// pending attendees: they hold no seat and get no QR ticket until a host
+// approves them. A registrant's guests are approved or declined with them.
+//
+// attendees.approval_status: pending | approved | declined
+
+const { approveTicket } = require('./tickets');
+const { getGuests } = require('./guests');
+const { countTakenSpots, withSeatLock } = require('./capacity');
+const { getTier, countTierTaken } = require('./tiers');
+
+const STATUS_LABELS = {
+  pending: 'Awaiting approval',
+  approved: 'Approved',
+  declined: 'Declined'
+};
+
+// Why a pending or declined registration can't be checked in
+function approvalProblem(attendee) {
+  if (attendee.approval_status === 'pending') return 'This registration is still awaiting host approval';
+  if (attendee.approval_status === 'declined') return 'The host declined this registration';
+  return null;
+}
+
+// Approves a registrant and their guests, issuing a QR ticket to each.
+// Returns { attendee, guests } or { error } when there aren't enough seats.
+function approveRegistration(db, event, attendee) {
+  return withSeatLock(() => approveWithSeats(db, event, refreshAttendee(db, attendee)));
+}
+
+// The attendee as it is now, since another approval may have finished while this one waited
+function refreshAttendee(db, attendee) {
+  const stmt = db.prepare('SELECT * FROM attendees WHERE id = ?');
+  stmt.bind([attendee.id]);
+  const current = stmt.step() ? stmt.getAsObject() : attendee;
+  stmt.free();
+  return current;
+}
+
+async function approveWithSeats(db, event, attendee) {
+  if (attendee.cancelled) return { error: 'This registration was cancelled' };
+  if (attendee.registrant_id) return { error: 'Guests are approved together with the person who registered them' };
+
+  const guests = getGuests(db, attendee.id);
+  if (attendee.approval_status === 'approved') return { attendee, guests, unchanged: true };
+
+  const partySize = 1 + guests.length;
+  const spotsLeft = event.capacity - countTakenSpots(db, event.id);
+  if (partySize > spotsLeft) {
+    return { error: spotsLeft > 0 ? `Only ${spotsLeft} spot${spotsLeft === 1 ? '' : 's'} left for a group of ${partySize}` : 'The event is full — raise the capacity to approve more people' };
+  }
+  const tier = attendee.tier_id ? getTier(db, event.id, attendee.tier_id) : null;
+  if (tier && tier.capacity !== null && countTierTaken(db, tier.id) + partySize > tier.capacity) {
+    return { error: `Not enough ${tier.name} tickets left` };
+  }
+
+  const approved = await approveTicket(db, attendee);
+  const approvedGuests = [];
+  for (const guest of guests) approvedGuests.push(await approveTicket(db, guest));
+  return { attendee: approved, guests: approvedGuests };
+}
+
+// Declines a registrant and their guests. Declining someone already approved
+// releases their seats. Returns { attendee, released } or { error }.
+function declineRegistration(db, attendee) {
+  if (attendee.cancelled) return { error: 'This registration was cancelled' };
+  if (attendee.registrant_id) return { error: 'Guests are declined together with the person who registered them' };
+  if (attendee.approval_status === 'declined') return { attendee, released: 0, unchanged: true };
+
+  const partySize = 1 + getGuests(db, attendee.id).length;
+  db.run(
+    "UPDATE attendees SET approval_status = 'declined', qr_code = NULL WHERE (id = ? OR registrant_id = ?) AND cancelled = 0",
+    [attendee.id, attendee.id]
+  );
+  return {
+    attendee: { ...attendee, approval_status: 'declined', qr_code: null },
+    released: attendee.approval_status === 'approved' ? partySize : 0
+  };
+}
+
+module.exports = { STATUS_LABELS, approvalProblem, approveRegistration, declineRegistration };
@@ -0,0 +1,152 @@
+// iCalendar (RFC 5545) output: single-event .ics downloads and per-user
+// subscription feeds. Feeds are built on every request, so edits and
+// cancellations show up the next time a calendar app refreshes.
+
+const crypto = require('crypto');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const PRODID = '-//Gather//Events//EN';
+
+// The calendar_sequence to save with a change to the event. Calendar apps only
+// apply an update whose SEQUENCE went up, so it goes up whenever something
+// they show (or the event's status) changes.
+function nextSequence(event, changed = true) {
+  return (event.calendar_sequence || 0) + (changed ? 1 : 0);
+}
+
+// Text values escape backslashes, separators and newlines
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are limited to 75 octets; longer ones continue on lines
+// starting with a space. Split on characters, not bytes, so UTF-8 survives.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Times are written as UTC instants, so no VTIMEZONE blocks are needed
+function formatUtc(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventLines(event, stamp) {
+  const url = `${BASE_URL}/event/${event.slug}`;
+  const description = [event.description, url].filter(Boolean).join('\n\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@gather`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(new Date(event.starts_at))}`,
+    `DTEND:${formatUtc(new Date(event.ends_at))}`,
+    `SEQUENCE:${event.calendar_sequence || 0}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${url}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(event.host_name ? [`ORGANIZER;CN=${escapeText(event.host_name)}:mailto:${event.host_email || 'no-reply@gather.local'}`] : []),
+    'END:VEVENT'
+  ];
+}
+
+// A VCALENDAR holding the given events. `name` titles subscription feeds.
+function buildCalendar(events, { name, method } = {}) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`, 'REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H'] : []),
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Filename for a download, e.g. "weekly-run-8mt6it.ics"
+function icsFilename(event) {
+  return `${event.slug}.ics`;
+}
+
+// ─── Subscription feeds ───────────────────────────────
+
+// Events a user hosts (as owner or team member) or holds an approved RSVP for.
+// Cancelled events stay in the feed so calendar apps mark them cancelled.
+function getFeedEvents(db, user) {
+  const stmt = db.prepare(`
+    SELECT * FROM events WHERE user_id = ?
+    UNION
+    SELECT e.* FROM events e JOIN event_members m ON m.event_id = e.id
+      WHERE m.user_id = ? AND m.status = 'active'
+    UNION
+    SELECT e.* FROM events e JOIN attendees a ON a.event_id = e.id
+      WHERE lower(a.email) = lower(?) AND a.cancelled = 0 AND a.approval_status = 'approved'
+    ORDER BY starts_at ASC
+  `);
+  stmt.bind([user.id, user.id, user.email]);
+  const events = [];
+  while (stmt.step()) events.push(stmt.getAsObject());
+  stmt.free();
+  return events.filter(e => e.status !== 'draft');
+}
+
+// The user's feed token, creating one the first time it's asked for
+function getFeedToken(db, userId) {
+  const stmt = db.prepare('SELECT calendar_token FROM users WHERE id = ?');
+  stmt.bind([userId]);
+  const token = stmt.step() ? stmt.getAsObject().calendar_token : null;
+  stmt.free();
+  return token || resetFeedToken(db, userId);
+}
+
+// Issues a new feed token; the old feed URL stops working
+function resetFeedToken(db, userId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  db.run('UPDATE users SET calendar_token = ? WHERE id = ?', [token, userId]);
+  return token;
+}
+
+function findFeedUser(db, token) {
+  if (!token) return null;
+  const stmt = db.prepare('SELECT id, name, email FROM users WHERE calendar_token = ?');
+  stmt.bind([token]);
+  const user = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return user;
+}
+
+function feedUrl(token) {
+  return `${BASE_URL}/calendar/${token}.ics`;
+}
+
+module.exports = {
+  nextSequence,
+  buildCalendar,
+  icsFilename,
+  getFeedEvents,
+  getFeedToken,
+  resetFeedToken,
+  findFeedUser,
+  feedUrl
+};
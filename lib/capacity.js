@@ -0,0 +1,45 @@
+// Seat accounting. A seat is taken by an active attendee or held by either an
+// open waitlist offer or a checkout that is still awaiting payment.
+// Registrations awaiting host approval (or declined) don't hold a seat.
+
+const { withLock } = require('../db');
+
+function countActiveAttendees(db, eventId) {
+  const stmt = db.prepare("SELECT COUNT(*) as count FROM attendees WHERE event_id = ? AND cancelled = 0 AND approval_status = 'approved'");
+  stmt.bind([eventId]);
+  stmt.step();
+  const { count } = stmt.getAsObject();
+  stmt.free();
+  return count;
+}
+
+function countHeldOffers(db, eventId) {
+  const stmt = db.prepare("SELECT COUNT(*) as count FROM waitlist WHERE event_id = ? AND status = 'offered' AND offer_expires_at > ?");
+  stmt.bind([eventId, new Date().toISOString()]);
+  stmt.step();
+  const { count } = stmt.getAsObject();
+  stmt.free();
+  return count;
+}
+
+function countPendingOrders(db, eventId) {
+  const stmt = db.prepare("SELECT COUNT(*) as count FROM orders WHERE event_id = ? AND status = 'pending' AND expires_at > ?");
+  stmt.bind([eventId, new Date().toISOString()]);
+  stmt.step();
+  const { count } = stmt.getAsObject();
+  stmt.free();
+  return count;
+}
+
+function countTakenSpots(db, eventId) {
+  return countActiveAttendees(db, eventId) + countHeldOffers(db, eventId) + countPendingOrders(db, eventId);
+}
+
+// Taking a seat means checking there's one left, then awaiting QR codes or a
+// payment provider before the row is written. Everything that does so runs
+// through here, one at a time, so two people can't both get the last seat.
+function withSeatLock(fn) {
+  return withLock('seats', fn);
+}
+
+module.exports = { countActiveAttendees, countHeldOffers, countPendingOrders, countTakenSpots, withSeatLock };
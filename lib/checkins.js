@@ -0,0 +1,240 @@
+// Check-in log. Every check-in attempt is appended to checkin_log: people let
+// in, re-entries, duplicate scans, rejected tickets and undos, along with the
+// staff member and device behind each one. Rows are never changed; an undo
+// is a new row pointing at the check-in it reverses.
+// attendees.checked_in / checked_in_at summarize the log for lists and exports.
+//
+// Multi-day events check people in once per day (a "session", the event's
+// local date), so coming back the next day is a re-entry, not a duplicate.
+//
+// Scans recorded by an offline station (lib/offline-checkin.js) are logged
+// at the time they were scanned, with synced_at set to when they arrived and
+// the station's own scan id in client_id.
+//
+// checkin_log.outcome: checked_in | re_entry | duplicate | rejected | undone
+
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TIMEZONE } = require('./timezones');
+
+const MAX_LOG_ENTRIES = 500;
+
+// The session a check-in at `at` belongs to: the event's local date, kept
+// within the event's dates so early arrivals count towards the first day
+function sessionFor(event, at = new Date()) {
+  if (!event.end_date || event.end_date === event.date) return event.date;
+  const local = new Intl.DateTimeFormat('en-CA', {
+    timeZone: event.timezone || DEFAULT_TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(at);
+  if (local < event.date) return event.date;
+  if (local > event.end_date) return event.end_date;
+  return local;
+}
+
+// Staff devices name themselves so scans can be traced to a door
+function deviceLabel(value) {
+  const label = typeof value === 'string' ? value.trim().slice(0, 100) : '';
+  return label || null;
+}
+
+function logEntry(db, event, { attendeeId = null, session = null, outcome, method = null, user = null, device = null, reason = null, undoes = null, at = null, clientId = null }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: uuidv4(),
+    event_id: event.id,
+    attendee_id: attendeeId,
+    session,
+    outcome,
+    method,
+    user_id: user ? user.id : null,
+    device: deviceLabel(device),
+    reason,
+    undoes,
+    client_id: clientId,
+    created_at: at ? at.toISOString() : now,
+    synced_at: at ? now : null
+  };
+  db.run(
+    `INSERT INTO checkin_log (id, event_id, attendee_id, session, outcome, method, user_id, device, reason, undoes, client_id, created_at, synced_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [entry.id, entry.event_id, entry.attendee_id, entry.session, entry.outcome, entry.method,
+     entry.user_id, entry.device, entry.reason, entry.undoes, entry.client_id, entry.created_at, entry.synced_at]
+  );
+  return entry;
+}
+
+// The attendee's latest check-in that hasn't been undone, optionally within one session
+function activeCheckin(db, attendeeId, session = null) {
+  const stmt = db.prepare(`
+    SELECT * FROM checkin_log l
+    WHERE l.attendee_id = ? AND l.outcome IN ('checked_in', 're_entry') ${session ? 'AND l.session = ?' : ''}
+      AND NOT EXISTS (SELECT 1 FROM checkin_log u WHERE u.undoes = l.id)
+    ORDER BY l.created_at DESC, l.rowid DESC LIMIT 1
+  `);
+  stmt.bind(session ? [attendeeId, session] : [attendeeId]);
+  const entry = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return entry;
+}
+
+// Brings attendees.checked_in / checked_in_at in line with the log
+function syncAttendee(db, attendeeId) {
+  const latest = activeCheckin(db, attendeeId);
+  db.run('UPDATE attendees SET checked_in = ?, checked_in_at = ? WHERE id = ?',
+    [latest ? 1 : 0, latest ? latest.created_at : null, attendeeId]);
+  return latest;
+}
+
+// Checks an attendee in. Callers make sure the ticket is valid first (and log
+// a rejection otherwise) and call saveDb(). Offline scans pass the time they
+// were scanned as `at` and the station's scan id as `clientId`.
+// Returns { outcome: checked_in | re_entry | duplicate, entry, attendee },
+// plus the check-in it duplicates as `existing`.
+function checkIn(db, event, attendee, { method, user, device, at = null, clientId = null }) {
+  const session = sessionFor(event, at || new Date());
+  const base = { attendeeId: attendee.id, session, method, user, device, at, clientId };
+
+  const current = activeCheckin(db, attendee.id, session);
+  if (current) {
+    const entry = logEntry(db, event, { ...base, outcome: 'duplicate', reason: `Already checked in at ${current.created_at}` });
+    return { outcome: 'duplicate', entry, attendee, existing: current };
+  }
+
+  const outcome = activeCheckin(db, attendee.id) ? 're_entry' : 'checked_in';
+  const entry = logEntry(db, event, { ...base, outcome });
+  syncAttendee(db, attendee.id);
+  return { outcome, entry, attendee: { ...attendee, checked_in: 1, checked_in_at: entry.created_at } };
+}
+
+// Reverses the attendee's latest check-in, e.g. after scanning the wrong
+// ticket. Returns { entry, undone, attendee } or { error }.
+function undoCheckIn(db, event, attendee, { user, device }) {
+  const latest = activeCheckin(db, attendee.id);
+  if (!latest) return { error: 'This attendee is not checked in' };
+
+  const entry = logEntry(db, event, {
+    attendeeId: attendee.id,
+    session: latest.session,
+    outcome: 'undone',
+    method: 'manual',
+    user,
+    device,
+    undoes: latest.id
+  });
+  const remaining = syncAttendee(db, attendee.id);
+  return {
+    entry,
+    undone: latest,
+    attendee: { ...attendee, checked_in: remaining ? 1 : 0, checked_in_at: remaining ? remaining.created_at : null }
+  };
+}
+
+// Undoes every check-in the attendee still has, e.g. when a cancelled ticket
+// is issued again and the old one's entry shouldn't let them in twice
+function clearCheckins(db, event, attendeeId, reason) {
+  let latest;
+  while ((latest = activeCheckin(db, attendeeId))) {
+    logEntry(db, event, { attendeeId, session: latest.session, outcome: 'undone', reason, undoes: latest.id });
+  }
+  syncAttendee(db, attendeeId);
+}
+
+function logRejection(db, event, { attendeeId = null, method, user, device, reason, at = null, clientId = null }) {
+  return logEntry(db, event, {
+    attendeeId, session: sessionFor(event, at || new Date()), outcome: 'rejected', method, user, device, reason, at, clientId
+  });
+}
+
+// The entry an offline station's scan was already recorded as, if it was
+function findSyncedScan(db, event, clientId) {
+  const stmt = db.prepare('SELECT * FROM checkin_log WHERE event_id = ? AND client_id = ?');
+  stmt.bind([event.id, clientId]);
+  const entry = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return entry;
+}
+
+// Attendee ids checked in for the current session
+function checkedInNow(db, event) {
+  const stmt = db.prepare(`
+    SELECT DISTINCT l.attendee_id FROM checkin_log l
+    WHERE l.event_id = ? AND l.session = ? AND l.outcome IN ('checked_in', 're_entry')
+      AND NOT EXISTS (SELECT 1 FROM checkin_log u WHERE u.undoes = l.id)
+  `);
+  stmt.bind([event.id, sessionFor(event)]);
+  const ids = new Set();
+  while (stmt.step()) ids.add(stmt.getAsObject().attendee_id);
+  stmt.free();
+  return ids;
+}
+
+// Times of every entry through the door that wasn't undone, for the dashboard graph
+function checkinTimes(db, event) {
+  const stmt = db.prepare(`
+    SELECT l.created_at FROM checkin_log l
+    WHERE l.event_id = ? AND l.outcome IN ('checked_in', 're_entry')
+      AND NOT EXISTS (SELECT 1 FROM checkin_log u WHERE u.undoes = l.id)
+    ORDER BY l.created_at ASC
+  `);
+  stmt.bind([event.id]);
+  const times = [];
+  while (stmt.step()) times.push(stmt.getAsObject().created_at);
+  stmt.free();
+  return times;
+}
+
+// Newest first, with the attendee's and staff member's names
+function getLog(db, event, { attendeeId = null, limit = 100 } = {}) {
+  const stmt = db.prepare(`
+    SELECT l.*, a.name AS attendee_name, a.email AS attendee_email, u.name AS staff_name,
+      EXISTS (SELECT 1 FROM checkin_log x WHERE x.undoes = l.id) AS was_undone
+    FROM checkin_log l
+    LEFT JOIN attendees a ON a.id = l.attendee_id
+    LEFT JOIN users u ON u.id = l.user_id
+    WHERE l.event_id = ? ${attendeeId ? 'AND l.attendee_id = ?' : ''}
+    ORDER BY l.created_at DESC, l.rowid DESC LIMIT ?
+  `);
+  stmt.bind(attendeeId ? [event.id, attendeeId, limit] : [event.id, limit]);
+  const entries = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    entries.push({ ...row, was_undone: !!row.was_undone });
+  }
+  stmt.free();
+  return entries;
+}
+
+// Attendees checked in before the log existed get one entry each, so the
+// graph and undo still work for them
+function backfillCheckinLog(db) {
+  const stmt = db.prepare(`
+    SELECT a.id, a.event_id, a.checked_in_at, e.date FROM attendees a JOIN events e ON e.id = a.event_id
+    WHERE a.checked_in = 1 AND NOT EXISTS (SELECT 1 FROM checkin_log l WHERE l.attendee_id = a.id)
+  `);
+  const rows = [];
+  while (stmt.step()) rows.push(stmt.getAsObject());
+  stmt.free();
+
+  for (const row of rows) {
+    db.run(
+      `INSERT INTO checkin_log (id, event_id, attendee_id, session, outcome, reason, created_at)
+       VALUES (?, ?, ?, ?, 'checked_in', 'Recorded before the check-in log', ?)`,
+      [uuidv4(), row.event_id, row.id, row.date, row.checked_in_at || new Date().toISOString()]
+    );
+  }
+  return rows.length;
+}
+
+module.exports = {
+  MAX_LOG_ENTRIES,
+  sessionFor,
+  checkIn,
+  undoCheckIn,
+  clearCheckins,
+  logRejection,
+  findSyncedScan,
+  checkedInNow,
+  checkinTimes,
+  getLog,
+  backfillCheckinLog
+};
@@ -0,0 +1,113 @@
+// Server settings, read from the environment once at startup:
+//
+//   NODE_ENV           production turns the checks below from warnings into errors
+//   PORT, BASE_URL     where the server listens and the URL people reach it on
+//   SESSION_SECRET     signs session cookies; required in production (32+ characters)
+//   TOKEN_SECRET       signs QR tickets and emailed links; falls back to SESSION_SECRET
+//   TRUST_PROXY        Express "trust proxy" setting when behind a reverse proxy:
+//                      a hop count, true, or addresses such as "loopback"
+//   COOKIE_SECURE      true | false; defaults to true when BASE_URL is https
+//   COOKIE_SAME_SITE   lax (default) | strict | none
+//   PAYMENT_PROVIDER   the gateway paid tickets go through; required in production.
+//                      "fake" runs a local test checkout outside production only
+//
+// Secure cookies are only sent over HTTPS, so behind a proxy that terminates
+// TLS, TRUST_PROXY has to be set for Express to see the request as secure.
+// `errors` lists settings the server refuses to start with.
+
+const crypto = require('crypto');
+
+const MIN_SECRET_LENGTH = 32;
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+const isProduction = process.env.NODE_ENV === 'production';
+const port = process.env.PORT || 3000;
+const baseUrl = (process.env.BASE_URL || `http://localhost:${port}`).replace(/\/$/, '');
+
+function parseBoolean(value) {
+  if (value === undefined || value === '') return null;
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+const errors = [];
+const warnings = [];
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret || sessionSecret.length < MIN_SECRET_LENGTH) {
+  const problem = sessionSecret
+    ? `SESSION_SECRET must be at least ${MIN_SECRET_LENGTH} characters`
+    : 'SESSION_SECRET is not set';
+  if (isProduction) {
+    errors.push(problem);
+  } else {
+    warnings.push(`${problem}: using a random one, so everyone is logged out when the server restarts`);
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+  }
+}
+
+// Tickets and links are signed with this, so a random one outlives neither a
+// restart nor a second server process
+let tokenSecret = process.env.TOKEN_SECRET || process.env.SESSION_SECRET;
+if (!tokenSecret || tokenSecret.length < MIN_SECRET_LENGTH) {
+  const problem = tokenSecret
+    ? `${process.env.TOKEN_SECRET ? 'TOKEN_SECRET' : 'SESSION_SECRET'} must be at least ${MIN_SECRET_LENGTH} characters`
+    : 'TOKEN_SECRET is not set';
+  if (isProduction) {
+    if (!errors.includes(problem)) errors.push(problem);
+  } else {
+    warnings.push(`${problem}: using a random one, so QR tickets and emailed links stop working when the server restarts`);
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+  }
+}
+
+// The fake provider hands out paid tickets to anyone who asks, so it has to be
+// chosen on purpose and never serves a production site
+const paymentProvider = process.env.PAYMENT_PROVIDER || null;
+const fakePayments = paymentProvider === 'fake' && !isProduction;
+if (isProduction && (!paymentProvider || paymentProvider === 'fake')) {
+  errors.push('PAYMENT_PROVIDER must name a real payment provider in production');
+} else if (!paymentProvider) {
+  warnings.push('PAYMENT_PROVIDER is not set: paid tickets can\'t be sold (set it to fake to try checkout locally)');
+}
+
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+const secureFlag = parseBoolean(process.env.COOKIE_SECURE);
+const secureCookies = secureFlag === null ? baseUrl.startsWith('https:') : secureFlag;
+const sameSite = String(process.env.COOKIE_SAME_SITE || 'lax').toLowerCase();
+
+if (!SAME_SITE_VALUES.includes(sameSite)) {
+  errors.push(`COOKIE_SAME_SITE must be one of ${SAME_SITE_VALUES.join(', ')}`);
+} else if (sameSite === 'none' && !secureCookies) {
+  errors.push('COOKIE_SAME_SITE=none needs secure cookies (COOKIE_SECURE=true)');
+}
+if (isProduction && !secureCookies) {
+  warnings.push('Cookies are not marked secure: set BASE_URL to your https:// address or COOKIE_SECURE=true');
+}
+if (secureCookies && trustProxy === false) {
+  warnings.push('Secure cookies are on but TRUST_PROXY is not set: behind a proxy that terminates HTTPS, nobody can log in');
+}
+
+module.exports = {
+  isProduction,
+  port,
+  baseUrl,
+  sessionSecret,
+  tokenSecret,
+  sessionMaxAgeMs: 7 * 24 * 60 * 60 * 1000,
+  trustProxy,
+  paymentProvider,
+  fakePayments,
+  cookie: {
+    secure: secureCookies,
+    sameSite
+  },
+  errors,
+  warnings
+};
@@ -0,0 +1,53 @@
+// CSRF protection for the JSON API, by double-submit cookie. Every visitor
+// gets a random token in the gather.csrf cookie, which pages can read (it isn't
+// httpOnly) and send back in the X-CSRF-Token header; public/js/csrf.js does
+// that for every same-origin fetch. Another site can make the browser send the
+// cookie, but it can't read it to fill in the header.
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const COOKIE_NAME = 'gather.csrf';
+const HEADER_NAME = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(p => p.trim()).find(p => p.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function sameToken(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Middleware: gives the visitor a token cookie if they don't have one yet
+function issueCsrfCookie(req, res, next) {
+  if (!readCookie(req, COOKIE_NAME)) {
+    res.cookie(COOKIE_NAME, crypto.randomBytes(24).toString('hex'), {
+      httpOnly: false,
+      secure: config.cookie.secure,
+      sameSite: 'strict',
+      maxAge: config.sessionMaxAgeMs
+    });
+  }
+  next();
+}
+
+// Router middleware: state-changing requests must echo the cookie's token in
+// the header. exempt(req) lets through routes other sites are meant to call,
+// like one-click unsubscribe from a mail client.
+function requireCsrfToken({ exempt = () => false } = {}) {
+  return (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || exempt(req)) return next();
+    const cookie = readCookie(req, COOKIE_NAME);
+    const header = req.get(HEADER_NAME);
+    if (!cookie || !header || !sameToken(cookie, header)) {
+      return res.status(403).json({ error: 'This page is out of date — reload it and try again' });
+    }
+    next();
+  };
+}
+
+module.exports = { COOKIE_NAME, HEADER_NAME, issueCsrfCookie, requireCsrfToken };
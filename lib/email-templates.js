@@ -0,0 +1,289 @@
+// HTML + plain-text bodies for transactional email.
+// Event templates take the event row so the layout can pick up its accent
+// color; account emails (password reset, verification) pass null instead.
+
+const { formatEventWhen } = require('./timezones');
+const { isValidColor } = require('./validation');
+
+const DEFAULT_ACCENT = '#7c3aed';
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Recipients see the event's own local time, labelled with its zone
+function formatWhen(event) {
+  return formatEventWhen(event);
+}
+
+// ─── Layout ───────────────────────────────────────────
+
+function layout(event, { heading, intro, body = '', cta }) {
+  const accent = event && isValidColor(event.accent_color) ? event.accent_color : DEFAULT_ACCENT;
+  const button = cta
+    ? `<p style="margin:28px 0 8px;"><a href="${escapeHtml(cta.url)}" style="display:inline-block;background:${accent};color:#ffffff;text-decoration:none;font-weight:600;padding:12px 22px;border-radius:10px;">${escapeHtml(cta.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f5f5f5;font-family:Inter,-apple-system,'Segoe UI',sans-serif;color:#1a1a1a;">
+  <div style="max-width:560px;margin:0 auto;padding:32px 16px;">
+    <div style="background:#ffffff;border-radius:16px;overflow:hidden;border:1px solid #eeeeee;">
+      <div style="height:6px;background:${accent};"></div>
+      <div style="padding:32px;">
+        <h1 style="font-size:22px;margin:0 0 8px;">${escapeHtml(heading)}</h1>
+        <p style="font-size:15px;color:#4b5563;margin:0 0 24px;">${escapeHtml(intro)}</p>
+        ${event ? `<div style="border-left:3px solid ${accent};padding:4px 0 4px 14px;margin-bottom:8px;">
+          <div style="font-weight:700;font-size:16px;">${escapeHtml(event.title)}</div>
+          <div style="font-size:14px;color:#6b7280;margin-top:4px;">${escapeHtml(formatWhen(event))}</div>
+          <div style="font-size:14px;color:#6b7280;">${escapeHtml(event.location)}</div>
+        </div>` : ''}
+        ${body}
+        ${button}
+      </div>
+    </div>
+    <p style="text-align:center;font-size:12px;color:#9ca3af;margin-top:16px;">${event ? `Sent by Gather on behalf of ${escapeHtml(event.host_name || 'the host')}` : 'Sent by Gather about your account'}</p>
+  </div>
+</body>
+</html>`;
+}
+
+function textLayout(event, { heading, intro, lines = [], cta }) {
+  return [
+    heading,
+    '',
+    intro,
+    '',
+    ...(event ? [event.title, formatWhen(event), event.location, ''] : []),
+    ...lines,
+    ...(cta ? [`${cta.label}: ${cta.url}`] : [])
+  ].join('\n');
+}
+
+// ─── Templates ────────────────────────────────────────
+
+function rsvpConfirmation(event, attendee, { cancelUrl, ticketUrl, guests = [] }) {
+  const intro = guests.length
+    ? `Hi ${attendee.name}, your spots are reserved. Everyone in your group has their own QR code below — show them at the door.`
+    : `Hi ${attendee.name}, your spot is reserved. Show the QR code below at the door.`;
+  const guestTickets = guests.map((guest, i) => `
+        <div style="text-align:center;margin:16px 0;">
+          <img src="cid:guest-qr-${i}" alt="QR ticket for ${escapeHtml(guest.name)}" width="160" height="160" style="border-radius:12px;border:1px solid #eeeeee;">
+          <div style="font-size:12px;color:#9ca3af;margin-top:6px;">${escapeHtml(guest.name)}</div>
+        </div>`).join('');
+  const body = `
+        <div style="text-align:center;margin:24px 0;">
+          <img src="cid:ticket-qr" alt="Your QR ticket" width="220" height="220" style="border-radius:12px;border:1px solid #eeeeee;">
+          <div style="font-size:12px;color:#9ca3af;margin-top:6px;">Your unique ticket</div>
+        </div>${guestTickets}
+        <p style="font-size:13px;color:#6b7280;">Can't make it? <a href="${escapeHtml(cancelUrl)}" style="color:#6b7280;">Cancel your RSVP</a> so someone else can take your spot.${guests.length ? ' Your guests\' tickets are cancelled with it.' : ''}</p>`;
+
+  return {
+    subject: `You're in: ${event.title}`,
+    html: layout(event, { heading: "You're in!", intro, body, cta: { label: 'View your ticket', url: ticketUrl } }),
+    text: textLayout(event, {
+      heading: "You're in!",
+      intro,
+      lines: [
+        ...(guests.length ? [`Guests: ${guests.map(g => g.name).join(', ')}`, ''] : []),
+        `Can't make it? Cancel your RSVP: ${cancelUrl}`,
+        ''
+      ],
+      cta: { label: guests.length ? 'View your tickets' : 'View your ticket', url: ticketUrl }
+    })
+  };
+}
+
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function cancellationReceipt(event, attendee, { eventUrl, refund }) {
+  const intro = `Hi ${attendee.name}, your RSVP has been cancelled and your spot released.`;
+  const refundLine = refund
+    ? `A refund of ${formatMoney(refund.amount, refund.currency)} has been issued to your original payment method.`
+    : null;
+  const body = refundLine ? `<p style="font-size:14px;color:#4b5563;margin-top:20px;">${escapeHtml(refundLine)}</p>` : '';
+
+  return {
+    subject: `RSVP cancelled: ${event.title}`,
+    html: layout(event, { heading: 'RSVP cancelled', intro, body, cta: { label: 'View event', url: eventUrl } }),
+    text: textLayout(event, {
+      heading: 'RSVP cancelled',
+      intro,
+      lines: refundLine ? [refundLine, ''] : [],
+      cta: { label: 'View event', url: eventUrl }
+    })
+  };
+}
+
+// Sent to everyone registered or waitlisted when the host cancels the event
+function eventCancelled(event, person, { eventUrl, refund, waitlisted }) {
+  const intro = waitlisted
+    ? `Hi ${person.name}, unfortunately the host has cancelled this event, so the waitlist is closed.`
+    : `Hi ${person.name}, unfortunately the host has cancelled this event. Your ticket is no longer valid.`;
+  const refundLine = refund
+    ? `A refund of ${formatMoney(refund.amount, refund.currency)} has been issued to your original payment method.`
+    : null;
+  const body = refundLine ? `<p style="font-size:14px;color:#4b5563;margin-top:20px;">${escapeHtml(refundLine)}</p>` : '';
+
+  return {
+    subject: `Event cancelled: ${event.title}`,
+    html: layout(event, { heading: 'Event cancelled', intro, body, cta: { label: 'View event', url: eventUrl } }),
+    text: textLayout(event, {
+      heading: 'Event cancelled',
+      intro,
+      lines: refundLine ? [refundLine, ''] : [],
+      cta: { label: 'View event', url: eventUrl }
+    })
+  };
+}
+
+function registrationPending(event, attendee, { cancelUrl, statusUrl, guestCount }) {
+  const party = guestCount ? ` and your ${guestCount} guest${guestCount === 1 ? '' : 's'}` : '';
+  const intro = `Hi ${attendee.name}, thanks for registering${party}. The host reviews every registration for this event — we'll email your ticket as soon as you're approved.`;
+  const body = `
+        <p style="font-size:13px;color:#6b7280;margin-top:20px;">Changed your mind? <a href="${escapeHtml(cancelUrl)}" style="color:#6b7280;">Withdraw your registration</a>.</p>`;
+
+  return {
+    subject: `Registration received: ${event.title}`,
+    html: layout(event, { heading: 'Awaiting approval', intro, body, cta: { label: 'Check your status', url: statusUrl } }),
+    text: textLayout(event, {
+      heading: 'Awaiting approval',
+      intro,
+      lines: [`Changed your mind? Withdraw your registration: ${cancelUrl}`, ''],
+      cta: { label: 'Check your status', url: statusUrl }
+    })
+  };
+}
+
+function registrationDeclined(event, attendee, { eventUrl }) {
+  const intro = `Hi ${attendee.name}, unfortunately the host wasn't able to approve your registration for this event.`;
+  return {
+    subject: `Registration not approved: ${event.title}`,
+    html: layout(event, { heading: 'Registration not approved', intro, cta: { label: 'View event', url: eventUrl } }),
+    text: textLayout(event, { heading: 'Registration not approved', intro, cta: { label: 'View event', url: eventUrl } })
+  };
+}
+
+function waitlistPromotion(event, entry, { claimUrl, expiresAt }) {
+  const deadline = new Date(expiresAt).toUTCString().replace(' GMT', ' UTC');
+  const intro = `Hi ${entry.name}, good news — a spot just opened up and we're holding it for you until ${deadline}. After that it goes to the next person on the waitlist.`;
+  return {
+    subject: `A spot opened up: ${event.title}`,
+    html: layout(event, { heading: 'A spot opened up', intro, cta: { label: 'Claim your spot', url: claimUrl } }),
+    text: textLayout(event, { heading: 'A spot opened up', intro, cta: { label: 'Claim your spot', url: claimUrl } })
+  };
+}
+
+function eventInvitation(event, invitation, { inviterName, inviteUrl }) {
+  const greeting = invitation.name ? `Hi ${invitation.name}, ` : '';
+  const intro = `${greeting}${inviterName} invited you to a private event on Gather. This link is just for you — please don't share it.`;
+  return {
+    subject: `You're invited: ${event.title}`,
+    html: layout(event, { heading: "You're invited", intro, cta: { label: 'View invitation', url: inviteUrl } }),
+    text: textLayout(event, { heading: "You're invited", intro, cta: { label: 'View invitation', url: inviteUrl } })
+  };
+}
+
+function memberInvite(event, member, { inviterName, roleLabel, acceptUrl }) {
+  const intro = `${inviterName} invited you to help run this event as ${roleLabel.toLowerCase()}. Log in or create a Gather account to accept.`;
+  return {
+    subject: `You're invited to help with ${event.title}`,
+    html: layout(event, { heading: "You've been invited", intro, cta: { label: 'Accept invitation', url: acceptUrl } }),
+    text: textLayout(event, { heading: "You've been invited", intro, cta: { label: 'Accept invitation', url: acceptUrl } })
+  };
+}
+
+// A host's own message to their guests. Non-essential messages carry an
+// unsubscribe link; essential ones say why they were sent anyway.
+function hostMessage(event, recipient, { subject, body, eventUrl, unsubscribeUrl }) {
+  const intro = `Hi ${recipient.name}, a message from ${event.host_name || 'the host'} about this event:`;
+  const paragraphs = body.split(/\n{2,}/).map(p =>
+    `<p style="font-size:15px;color:#1a1a1a;line-height:1.55;margin:16px 0;">${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('');
+  const footer = unsubscribeUrl
+    ? `Don't want messages from the host about this event? <a href="${escapeHtml(unsubscribeUrl)}" style="color:#9ca3af;">Unsubscribe</a>.`
+    : 'You are receiving this important update because you are on the guest list for this event.';
+  const html = `
+        <div style="margin-top:20px;">${paragraphs}</div>
+        <p style="font-size:12px;color:#9ca3af;margin-top:28px;">${footer}</p>`;
+
+  return {
+    subject: `${subject} — ${event.title}`,
+    html: layout(event, { heading: subject, intro, body: html, cta: { label: 'View event', url: eventUrl } }),
+    text: textLayout(event, {
+      heading: subject,
+      intro,
+      lines: [
+        body,
+        '',
+        unsubscribeUrl ? `Unsubscribe from the host's messages about this event: ${unsubscribeUrl}` : 'You are receiving this important update because you are on the guest list for this event.',
+        ''
+      ],
+      cta: { label: 'View event', url: eventUrl }
+    })
+  };
+}
+
+// ─── Account ──────────────────────────────────────────
+
+function passwordReset(user, { resetUrl }) {
+  const intro = `Hi ${user.name}, someone asked to reset the password for your Gather account. The link works once, for the next hour.`;
+  const note = "If it wasn't you, ignore this email — your password stays as it is.";
+  return {
+    subject: 'Reset your Gather password',
+    html: layout(null, {
+      heading: 'Reset your password',
+      intro,
+      body: `<p style="font-size:13px;color:#6b7280;">${escapeHtml(note)}</p>`,
+      cta: { label: 'Choose a new password', url: resetUrl }
+    }),
+    text: textLayout(null, { heading: 'Reset your password', intro, lines: [note, ''], cta: { label: 'Choose a new password', url: resetUrl } })
+  };
+}
+
+function emailVerification(user, { verifyUrl }) {
+  const intro = `Hi ${user.name}, please confirm this is your email address so we know where to reach you about your events. The link works for the next 24 hours.`;
+  return {
+    subject: 'Confirm your email for Gather',
+    html: layout(null, { heading: 'Confirm your email', intro, cta: { label: 'Confirm email', url: verifyUrl } }),
+    text: textLayout(null, { heading: 'Confirm your email', intro, cta: { label: 'Confirm email', url: verifyUrl } })
+  };
+}
+
+// Security notices go to the address the account had before the change
+function accountChanged(user, { change, forgotUrl }) {
+  const intro = `Hi ${user.name}, ${change}. If you did this, there's nothing else to do.`;
+  const note = "If it wasn't you, reset your password straight away.";
+  return {
+    subject: 'Your Gather account was changed',
+    html: layout(null, {
+      heading: 'Your account was changed',
+      intro,
+      body: `<p style="font-size:13px;color:#6b7280;">${escapeHtml(note)}</p>`,
+      cta: { label: 'Reset password', url: forgotUrl }
+    }),
+    text: textLayout(null, { heading: 'Your account was changed', intro, lines: [note, ''], cta: { label: 'Reset password', url: forgotUrl } })
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  rsvpConfirmation,
+  cancellationReceipt,
+  eventCancelled,
+  registrationPending,
+  registrationDeclined,
+  waitlistPromotion,
+  eventInvitation,
+  memberInvite,
+  hostMessage,
+  passwordReset,
+  emailVerification,
+  accountChanged
+};
@@ -0,0 +1,264 @@
+// Exports for hosts: attendees or the waitlist as CSV, both as sheets of one
+// workbook, or the whole event as JSON for backup and migration.
+//
+// Spreadsheet apps run cells starting with = + - @ as formulas, so a name like
+// =HYPERLINK(...) typed into the registration form could run on the host's
+// machine. Such cells are written with a leading apostrophe, which shows the
+// text as typed.
+//
+// Filters (attendees): status, checked_in, from/to (registration date).
+// Filters (waitlist): status, from/to (date joined).
+// ?columns= picks and orders the columns by key; see ATTENDEE_COLUMNS and
+// WAITLIST_COLUMNS, plus q:<question id> for registration answers.
+
+const { getQuestions, parseAnswers, formatAnswer } = require('./questions');
+const { STATUS_LABELS } = require('./approvals');
+const { getTiers } = require('./tiers');
+
+const EXPORT_VERSION = 1;
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const ATTENDEE_STATUSES = ['registered', 'checked_in', 'pending', 'declined', 'cancelled'];
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'expired', 'cancelled'];
+
+function attendeeStatus(row) {
+  if (row.cancelled) return 'cancelled';
+  if (row.approval_status !== 'approved') return row.approval_status;
+  return row.checked_in ? 'checked_in' : 'registered';
+}
+
+const STATUS_TEXT = {
+  registered: 'Registered',
+  checked_in: 'Checked In',
+  pending: STATUS_LABELS.pending,
+  declined: STATUS_LABELS.declined,
+  cancelled: 'Cancelled'
+};
+
+const ATTENDEE_COLUMNS = [
+  { key: 'name', label: 'Name', value: r => r.name },
+  { key: 'email', label: 'Email', value: r => r.email },
+  { key: 'guest_of', label: 'Guest Of', value: r => r.guest_of || '' },
+  { key: 'ticket', label: 'Ticket', value: r => r.ticket || 'General Admission' },
+  { key: 'status', label: 'Status', value: r => STATUS_TEXT[attendeeStatus(r)] },
+  { key: 'checked_in', label: 'Checked In', value: r => (r.checked_in ? 'Yes' : 'No') },
+  { key: 'checked_in_at', label: 'Checked In At', value: r => r.checked_in_at || '' },
+  { key: 'registered_at', label: 'Registered At', value: r => r.created_at }
+];
+
+const WAITLIST_COLUMNS = [
+  { key: 'position', label: 'Position', value: r => r.position || '' },
+  { key: 'name', label: 'Name', value: r => r.name },
+  { key: 'email', label: 'Email', value: r => r.email },
+  { key: 'status', label: 'Status', value: r => r.status },
+  { key: 'joined_at', label: 'Joined At', value: r => r.created_at },
+  { key: 'offered_at', label: 'Offered At', value: r => r.offered_at || '' },
+  { key: 'offer_expires_at', label: 'Offer Expires At', value: r => r.offer_expires_at || '' }
+];
+
+// Text safe to open in a spreadsheet
+function neutralize(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+function csvCell(value) {
+  return `"${neutralize(value).replace(/"/g, '""')}"`;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => csvCell(c.value(row))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Fixed columns followed by one per registration question
+function allColumns(base, questions) {
+  return [
+    ...base,
+    ...questions.map(q => ({ key: `q:${q.id}`, label: q.label, value: r => formatAnswer(q, parseAnswers(r.answers)[q.id]) }))
+  ];
+}
+
+// Picks columns by key in the order asked for. Returns { columns } or { error }.
+function chooseColumns(available, keys) {
+  if (!keys) return { columns: available };
+  const wanted = String(keys).split(',').map(k => k.trim()).filter(Boolean);
+  const unknown = wanted.filter(k => !available.some(c => c.key === k));
+  if (unknown.length) return { error: `Unknown column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}` };
+  if (!wanted.length) return { error: 'Choose at least one column' };
+  return { columns: wanted.map(k => available.find(c => c.key === k)) };
+}
+
+// Reads ?status=a,b&checked_in=yes&from=YYYY-MM-DD&to=YYYY-MM-DD.
+// Returns { filters } or { error }.
+function parseFilters(query, statuses) {
+  const filters = {};
+  if (query.status) {
+    filters.status = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const bad = filters.status.find(s => !statuses.includes(s));
+    if (bad) return { error: `Status must be one of ${statuses.join(', ')}` };
+  }
+  if (query.checked_in !== undefined && query.checked_in !== '') {
+    if (!['yes', 'no', 'true', 'false', '1', '0'].includes(String(query.checked_in))) {
+      return { error: 'checked_in must be yes or no' };
+    }
+    filters.checkedIn = ['yes', 'true', '1'].includes(String(query.checked_in));
+  }
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) return { error: `${key} must be a date (YYYY-MM-DD)` };
+    filters[key] = query[key];
+  }
+  if (filters.from && filters.to && filters.from > filters.to) return { error: 'from must be before to' };
+  return { filters };
+}
+
+function inDateRange(value, { from, to }) {
+  const day = String(value || '').slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+function getAttendeeRows(db, event, filters = {}) {
+  const stmt = db.prepare(`
+    SELECT a.id, a.name, a.email, a.checked_in, a.checked_in_at, a.cancelled, a.created_at, a.answers,
+      a.approval_status, a.registrant_id, t.name AS ticket, r.name AS guest_of
+    FROM attendees a LEFT JOIN ticket_tiers t ON t.id = a.tier_id
+    LEFT JOIN attendees r ON r.id = a.registrant_id
+    WHERE a.event_id = ? ORDER BY a.created_at ASC, a.rowid ASC
+  `);
+  stmt.bind([event.id]);
+  const rows = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    if (filters.status && !filters.status.includes(attendeeStatus(row))) continue;
+    if (filters.checkedIn !== undefined && !!row.checked_in !== filters.checkedIn) continue;
+    if (!inDateRange(row.created_at, filters)) continue;
+    rows.push(row);
+  }
+  stmt.free();
+  return rows;
+}
+
+// Waiting entries are numbered in the order they'll be offered a seat
+function getWaitlistRows(db, event, filters = {}) {
+  const stmt = db.prepare('SELECT * FROM waitlist WHERE event_id = ? ORDER BY created_at ASC, rowid ASC');
+  stmt.bind([event.id]);
+  const rows = [];
+  let position = 0;
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    if (row.status === 'waiting') row.position = ++position;
+    if (filters.status && !filters.status.includes(row.status)) continue;
+    if (!inDateRange(row.created_at, filters)) continue;
+    rows.push(row);
+  }
+  stmt.free();
+  return rows;
+}
+
+// ─── Workbook ─────────────────────────────────────────
+
+function xmlText(value) {
+  return neutralize(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters aren't allowed in XML at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ]
+function sheetName(name) {
+  return name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+}
+
+// A SpreadsheetML workbook (opens in Excel, Numbers and LibreOffice) with one
+// sheet per { name, columns, rows }
+function toWorkbook(sheets) {
+  const worksheet = ({ name, columns, rows }) => {
+    const row = (cells, style = '') =>
+      `   <Row>${cells.map(c => `<Cell${style}><Data ss:Type="String">${xmlText(c)}</Data></Cell>`).join('')}</Row>`;
+    return [
+      ` <Worksheet ss:Name="${xmlText(sheetName(name))}">`,
+      '  <Table>',
+      row(columns.map(c => c.label), ' ss:StyleID="header"'),
+      ...rows.map(r => row(columns.map(c => c.value(r)))),
+      '  </Table>',
+      ' </Worksheet>'
+    ].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    ' <Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+    ...sheets.map(worksheet),
+    '</Workbook>',
+    ''
+  ].join('\n');
+}
+
+// ─── Full event ───────────────────────────────────────
+
+// Everything about the event a host would need to move it elsewhere or keep
+// a backup. Answers are given with their question's label as well as its id.
+// Ticket, cancel and claim tokens are left out; they only work on this server.
+function eventBackup(db, event) {
+  const questions = getQuestions(event);
+  const labelled = raw => {
+    const answers = parseAnswers(raw);
+    return questions.filter(q => answers[q.id] !== undefined)
+      .map(q => ({ question_id: q.id, question: q.label, value: answers[q.id], text: formatAnswer(q, answers[q.id]) }));
+  };
+
+  return {
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    event: { ...event, questions },
+    tiers: getTiers(db, event.id),
+    attendees: getAttendeeRows(db, event).map(row => ({
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      status: attendeeStatus(row),
+      ticket: row.ticket || null,
+      registrant_id: row.registrant_id || null,
+      guest_of: row.guest_of || null,
+      checked_in: !!row.checked_in,
+      checked_in_at: row.checked_in_at || null,
+      registered_at: row.created_at,
+      answers: labelled(row.answers)
+    })),
+    waitlist: getWaitlistRows(db, event).map(row => ({
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      status: row.status,
+      position: row.position || null,
+      joined_at: row.created_at,
+      offered_at: row.offered_at || null,
+      offer_expires_at: row.offer_expires_at || null,
+      attendee_id: row.attendee_id || null,
+      answers: labelled(row.answers)
+    }))
+  };
+}
+
+module.exports = {
+  ATTENDEE_STATUSES,
+  WAITLIST_STATUSES,
+  ATTENDEE_COLUMNS,
+  WAITLIST_COLUMNS,
+  neutralize,
+  toCsv,
+  toWorkbook,
+  allColumns,
+  chooseColumns,
+  parseFilters,
+  getAttendeeRows,
+  getWaitlistRows,
+  eventBackup
+};
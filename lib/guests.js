@@ -0,0 +1,97 @@
+// Group registrations. A registrant can bring up to the event's max_guests
+// guests; each guest gets an attendee row of their own (and so a seat and a QR
+// ticket) pointing back at the registrant through attendees.registrant_id.
+//
+// Registration accepts either `guests: [{ name, email? }]` or a `party_size`
+// that counts the registrant, in which case guests are named "<name> +1", ...
+
+const { issueTicket } = require('./tickets');
+const { isValidEmail } = require('./validation');
+
+const MAX_GUESTS = 10;
+
+// Validates the host's max_guests setting. Returns { maxGuests } or { error }.
+function normalizeMaxGuests(value) {
+  if (value === undefined || value === null || value === '') return { maxGuests: 0 };
+  const maxGuests = Number(value);
+  if (!Number.isInteger(maxGuests) || maxGuests < 0 || maxGuests > MAX_GUESTS) {
+    return { error: `Guests per registration must be between 0 and ${MAX_GUESTS}` };
+  }
+  return { maxGuests };
+}
+
+// Works out the guests a registrant is bringing. Guests without an email of
+// their own share the registrant's, so their tickets go to the registrant.
+// Returns { guests: [{ name, email }] } or { error }.
+function normalizeGuests(event, { name, email, guests, party_size }) {
+  let list = [];
+  if (Array.isArray(guests)) {
+    list = guests.map(g => (typeof g === 'string' ? { name: g } : g || {}));
+  } else if (party_size !== undefined && party_size !== null && party_size !== '') {
+    const size = Number(party_size);
+    if (!Number.isInteger(size) || size < 1) return { error: 'Party size must be a whole number of people' };
+    list = Array.from({ length: size - 1 }, () => ({}));
+  } else if (guests !== undefined && guests !== null) {
+    return { error: 'Guests must be a list' };
+  }
+
+  if (!list.length) return { guests: [] };
+
+  const maxGuests = event.max_guests || 0;
+  if (!maxGuests) return { error: "This event doesn't allow guests" };
+  if (list.length > maxGuests) {
+    return { error: `You can bring at most ${maxGuests} guest${maxGuests === 1 ? '' : 's'}` };
+  }
+
+  const seen = new Set([email.toLowerCase()]);
+  const normalized = [];
+  for (let i = 0; i < list.length; i++) {
+    const guestName = String(list[i].name || '').trim() || `${name} +${i + 1}`;
+    const guestEmail = String(list[i].email || '').trim();
+    if (guestName.length > 200) return { error: `Guest ${i + 1}'s name is too long` };
+
+    if (guestEmail) {
+      if (!isValidEmail(guestEmail)) return { error: `${guestName}'s email address isn't valid` };
+      if (seen.has(guestEmail.toLowerCase())) return { error: `${guestEmail} is listed more than once` };
+      seen.add(guestEmail.toLowerCase());
+    }
+    normalized.push({ name: guestName, email: guestEmail || email, ownEmail: !!guestEmail });
+  }
+  return { guests: normalized };
+}
+
+// Issues a ticket per guest on the registrant's tier. Guests of a pending
+// registration are pending too. Callers check capacity for the whole party
+// first and call saveDb().
+async function issueGuestTickets(db, event, registrant, guests, tierId = null) {
+  const issued = [];
+  for (const guest of guests) {
+    issued.push(await issueTicket(db, event, {
+      name: guest.name,
+      email: guest.email,
+      tierId,
+      registrantId: registrant.id,
+      approvalStatus: registrant.approval_status || 'approved'
+    }));
+  }
+  return issued;
+}
+
+// Active guests of a registrant, in the order they were added
+function getGuests(db, registrantId) {
+  const stmt = db.prepare('SELECT * FROM attendees WHERE registrant_id = ? AND cancelled = 0 ORDER BY created_at ASC, rowid ASC');
+  stmt.bind([registrantId]);
+  const guests = [];
+  while (stmt.step()) guests.push(stmt.getAsObject());
+  stmt.free();
+  return guests;
+}
+
+// Cancels a registrant's guests along with them. Returns how many were cancelled.
+function cancelGuests(db, registrantId) {
+  const count = getGuests(db, registrantId).length;
+  if (count) db.run('UPDATE attendees SET cancelled = 1 WHERE registrant_id = ? AND cancelled = 0', [registrantId]);
+  return count;
+}
+
+module.exports = { MAX_GUESTS, normalizeMaxGuests, normalizeGuests, issueGuestTickets, getGuests, cancelGuests };
@@ -0,0 +1,231 @@
+// Bulk attendee import from CSV, for hosts moving over from a spreadsheet or
+// another tool. A dry run reports what would happen to each row; the real run
+// adds the rows that passed and skips the rest.
+//
+// Columns are matched by their header, ignoring case: Name (or First Name and
+// Last Name), Email, Ticket (a tier name), Checked In, Checked In At, Status,
+// and one column per registration question, by its label. A file exported
+// from the dashboard imports as-is; its cancelled and declined rows are skipped. Other
+// columns are ignored and listed back to the host.
+//
+// Row status: ok | invalid | duplicate | over_capacity | skipped (then imported once committed)
+
+const { issueTicket, findActiveAttendee } = require('./tickets');
+const { countTakenSpots } = require('./capacity');
+const { getTiers, countTierTaken } = require('./tiers');
+const { getQuestions, validateAnswers } = require('./questions');
+const { checkIn } = require('./checkins');
+const { isValidEmail } = require('./validation');
+
+const MAX_IMPORT_ROWS = 2000;
+
+const COLUMN_NAMES = {
+  name: ['name', 'full name', 'attendee', 'attendee name'],
+  first_name: ['first name', 'firstname', 'given name'],
+  last_name: ['last name', 'lastname', 'surname', 'family name'],
+  email: ['email', 'e-mail', 'email address', 'e-mail address'],
+  ticket: ['ticket', 'ticket type', 'tier'],
+  checked_in: ['checked in', 'checked_in', 'checked-in', 'attended'],
+  checked_in_at: ['checked in at', 'checked_in_at', 'check-in time'],
+  status: ['status']
+};
+
+const YES = ['yes', 'y', 'true', '1', 'x', 'checked in', 'attended'];
+
+// Splits CSV text into rows of cells. Handles quoted cells with commas,
+// newlines and doubled quotes, a byte order mark, and the semicolon or tab
+// separators some spreadsheet apps export with.
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const separator = firstLine.includes(',') ? ',' : firstLine.includes(';') ? ';' : firstLine.includes('\t') ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Which column holds what. Returns { columns, questions, ignored } or { error }.
+function mapColumns(header, questions) {
+  const columns = {};
+  const answerColumns = [];
+  const ignored = [];
+
+  header.forEach((raw, index) => {
+    const label = raw.trim().toLowerCase();
+    const field = Object.keys(COLUMN_NAMES).find(key => COLUMN_NAMES[key].includes(label));
+    const question = questions.find(q => q.label.trim().toLowerCase() === label);
+    if (field && columns[field] === undefined) columns[field] = index;
+    else if (question && !answerColumns.some(a => a.question.id === question.id)) answerColumns.push({ index, question });
+    else if (raw.trim()) ignored.push(raw.trim());
+  });
+
+  const hasName = columns.name !== undefined || columns.first_name !== undefined;
+  if (!hasName || columns.email === undefined) {
+    return { error: 'The first row must be a header with at least Name and Email columns' };
+  }
+  return { columns, questions: answerColumns, ignored };
+}
+
+// Turns the answer cells into what registration forms send
+function readAnswers(row, answerColumns) {
+  const input = {};
+  for (const { index, question } of answerColumns) {
+    const text = (row[index] || '').trim();
+    if (!text) continue;
+    if (question.type === 'checkbox') input[question.id] = YES.includes(text.toLowerCase());
+    else if (question.type === 'multi_select') input[question.id] = text.split(';').map(s => s.trim()).filter(Boolean);
+    else input[question.id] = text;
+  }
+  // Imported people didn't fill in the form, so nothing is required
+  return validateAnswers(answerColumns.map(a => ({ ...a.question, required: false })), input);
+}
+
+function readCheckin(row, columns) {
+  const cell = key => (columns[key] === undefined ? '' : (row[columns[key]] || '').trim());
+  const at = cell('checked_in_at') ? new Date(cell('checked_in_at')) : null;
+  const checkedIn = YES.includes(cell('checked_in').toLowerCase()) ||
+    cell('status').toLowerCase() === 'checked in' || (at !== null && !isNaN(at));
+  return { checkedIn, at: at && !isNaN(at) && at <= new Date() ? at : null };
+}
+
+// Works out what importing the file would do, without changing anything.
+// Returns { rows, summary, columns: { matched, ignored } } or { error }.
+function planImport(db, event, text) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'The file is empty' };
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { error: 'The file is empty' };
+  if (!lines.length) return { error: 'The file has a header but no attendees' };
+  if (lines.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} attendees at a time` };
+
+  const mapping = mapColumns(header, getQuestions(event));
+  if (mapping.error) return { error: mapping.error };
+  const { columns } = mapping;
+  const cell = (row, key) => (columns[key] === undefined ? '' : (row[columns[key]] || '').trim());
+
+  const tiers = getTiers(db, event.id);
+  let spotsLeft = event.capacity - countTakenSpots(db, event.id);
+  const tierTaken = new Map(tiers.map(t => [t.id, countTierTaken(db, t.id)]));
+  const seen = new Set();
+
+  const rows = lines.map((row, i) => {
+    const name = cell(row, 'name') || [cell(row, 'first_name'), cell(row, 'last_name')].filter(Boolean).join(' ');
+    const email = cell(row, 'email');
+    const result = { row: i + 2, name, email };
+    const fail = (status, reason) => ({ ...result, status, reason });
+
+    const status = cell(row, 'status').toLowerCase();
+    if (status === 'cancelled' || status === 'declined') return fail('skipped', `${status === 'cancelled' ? 'Cancelled' : 'Declined'} registration`);
+    if (!name) return fail('invalid', 'Name is missing');
+    if (!email) return fail('invalid', 'Email is missing');
+    if (!isValidEmail(email)) return fail('invalid', `${email} isn't a valid email address`);
+
+    const key = email.toLowerCase();
+    if (seen.has(key)) return fail('duplicate', 'This email appears earlier in the file');
+    seen.add(key);
+    if (findActiveAttendee(db, event.id, email)) return fail('duplicate', 'Already registered for this event');
+
+    let tier = null;
+    const ticket = cell(row, 'ticket');
+    if (tiers.length) {
+      // Exports say "General Admission" for events without tiers
+      const generic = !ticket || ticket.toLowerCase() === 'general admission';
+      tier = tiers.find(t => t.name.toLowerCase() === ticket.toLowerCase()) || (generic && tiers.length === 1 ? tiers[0] : null);
+      if (!tier) return fail('invalid', ticket ? `There's no "${ticket}" ticket type` : 'Ticket type is missing');
+    }
+
+    const { answers, error: answerError } = readAnswers(row, mapping.questions);
+    if (answerError) return fail('invalid', answerError);
+
+    if (spotsLeft <= 0) return fail('over_capacity', 'The event is full');
+    if (tier && tier.capacity !== null && tierTaken.get(tier.id) >= tier.capacity) {
+      return fail('over_capacity', `${tier.name} tickets are sold out`);
+    }
+    spotsLeft--;
+    if (tier) tierTaken.set(tier.id, tierTaken.get(tier.id) + 1);
+
+    const { checkedIn, at } = readCheckin(row, columns);
+    return { ...result, status: 'ok', ticket: tier ? tier.name : null, checked_in: checkedIn, tier_id: tier ? tier.id : null, answers, checked_in_at: at };
+  });
+
+  return {
+    rows,
+    summary: summarize(rows),
+    columns: {
+      matched: [
+        ...Object.keys(columns).map(key => header[columns[key]].trim()),
+        ...mapping.questions.map(a => header[a.index].trim())
+      ],
+      ignored: mapping.ignored
+    }
+  };
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length, ok: 0, invalid: 0, duplicate: 0, over_capacity: 0, skipped: 0 };
+  rows.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+  return summary;
+}
+
+// Adds the rows a plan found ok: each gets a ticket with a QR code and cancel
+// link, and rows marked as checked in go into the check-in log. Imported
+// people are approved even on approval-only events; the host chose them.
+// Returns the new attendees (with qr_code and cancel_token for emailing);
+// the caller saveDb()s.
+async function commitImport(db, event, plan, { user }) {
+  const imported = [];
+  for (const row of plan.rows) {
+    if (row.status !== 'ok') continue;
+    const attendee = await issueTicket(db, event, { name: row.name, email: row.email, tierId: row.tier_id, answers: row.answers });
+    if (row.checked_in) {
+      checkIn(db, event, attendee, { method: 'import', user, device: null, at: row.checked_in_at });
+    }
+    row.status = 'imported';
+    row.attendee_id = attendee.id;
+    imported.push(attendee);
+  }
+  plan.summary.imported = imported.length;
+  return imported;
+}
+
+// The rows as shown to the host
+function describeRows(rows) {
+  return rows.map(({ row, name, email, status, reason, ticket, checked_in, attendee_id }) =>
+    ({ row, name, email, status, reason: reason || null, ticket: ticket || null, checked_in: !!checked_in, attendee_id: attendee_id || null }));
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  planImport,
+  commitImport,
+  describeRows
+};
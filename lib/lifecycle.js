@@ -0,0 +1,174 @@
+// Event lifecycle. Status changes follow a small state machine:
+//
+//   draft      → published, archived
+//   published  → draft (only before anyone registers), cancelled, completed (once started)
+//   cancelled  → archived
+//   completed  → archived
+//   archived   final
+//
+// Cancelling releases every registration and waitlist entry and tells those
+// people, so it can't be undone.
+
+const mailer = require('./mailer');
+const { getOrder, refundOrder } = require('./orders');
+const { getSeries, getOccurrences } = require('./recurrence');
+
+const STATUSES = ['draft', 'published', 'cancelled', 'completed', 'archived'];
+
+const TRANSITIONS = {
+  draft: ['published', 'archived'],
+  published: ['draft', 'cancelled', 'completed'],
+  cancelled: ['archived'],
+  completed: ['archived'],
+  archived: []
+};
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  published: 'Published',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  archived: 'Archived'
+};
+
+function countRegistrations(db, eventId) {
+  const stmt = db.prepare('SELECT COUNT(*) AS n FROM attendees WHERE event_id = ? AND cancelled = 0');
+  stmt.bind([eventId]);
+  stmt.step();
+  const { n } = stmt.getAsObject();
+  stmt.free();
+  return n;
+}
+
+// Why the event can't move to `to`, or null when it can
+function transitionError(db, event, to) {
+  const from = event.status || 'published';
+  if (!STATUSES.includes(to)) return `Status must be one of ${STATUSES.join(', ')}`;
+  if (from === to) return null;
+  if (!TRANSITIONS[from].includes(to)) {
+    return `A ${STATUS_LABELS[from].toLowerCase()} event can't be marked as ${STATUS_LABELS[to].toLowerCase()}`;
+  }
+  if (from === 'published' && to === 'draft' && countRegistrations(db, event.id)) {
+    return 'People have already registered — cancel the event instead of unpublishing it';
+  }
+  if (to === 'completed' && event.starts_at && new Date(event.starts_at) > new Date()) {
+    return "An event can't be completed before it starts";
+  }
+  return null;
+}
+
+// Why registration (or joining the waitlist) is closed, or null when it's open
+function registrationProblem(event) {
+  switch (event.status) {
+    case 'draft': return 'This event is not yet published';
+    case 'cancelled': return 'This event has been cancelled';
+    case 'completed':
+    case 'archived': return 'This event has already taken place';
+    default: return null;
+  }
+}
+
+// Why attendees can't be checked in, or null when they can
+function checkinProblem(event) {
+  switch (event.status) {
+    case 'draft': return 'This event is not yet published';
+    case 'cancelled': return 'This event has been cancelled';
+    case 'archived': return 'This event is archived';
+    default: return null;
+  }
+}
+
+// Cancels every registration and waitlist entry of a cancelled event, refunds
+// paid tickets and emails each person once. Checkouts still in progress are
+// refunded when their payment lands (completeOrder only issues tickets for
+// published events). Returns { attendees, waitlist, refunds } counts.
+async function releaseEvent(db, event) {
+  const attStmt = db.prepare('SELECT * FROM attendees WHERE event_id = ? AND cancelled = 0 ORDER BY created_at ASC');
+  attStmt.bind([event.id]);
+  const attendees = [];
+  while (attStmt.step()) attendees.push(attStmt.getAsObject());
+  attStmt.free();
+
+  const wlStmt = db.prepare("SELECT * FROM waitlist WHERE event_id = ? AND status IN ('waiting', 'offered')");
+  wlStmt.bind([event.id]);
+  const waitlist = [];
+  while (wlStmt.step()) waitlist.push(wlStmt.getAsObject());
+  wlStmt.free();
+
+  db.run('UPDATE attendees SET cancelled = 1 WHERE event_id = ? AND cancelled = 0', [event.id]);
+  db.run("UPDATE waitlist SET status = 'cancelled' WHERE event_id = ? AND status IN ('waiting', 'offered')", [event.id]);
+
+  const refunds = new Map();
+  for (const attendee of attendees) {
+    const order = attendee.order_id ? getOrder(db, attendee.order_id) : null;
+    if (order && order.status === 'paid') refunds.set(attendee.id, await refundOrder(db, order));
+  }
+
+  // Guests without their own email share the registrant's, so they hear about it once
+  const notified = new Set();
+  for (const attendee of attendees) {
+    const email = attendee.email.toLowerCase();
+    if (notified.has(email)) continue;
+    notified.add(email);
+    mailer.sendEventCancelled(event, attendee, { refund: refunds.get(attendee.id) || null });
+  }
+  for (const entry of waitlist) {
+    const email = entry.email.toLowerCase();
+    if (notified.has(email)) continue;
+    notified.add(email);
+    mailer.sendEventCancelled(event, entry, { waitlisted: true });
+  }
+
+  return { attendees: attendees.length, waitlist: waitlist.length, refunds: refunds.size };
+}
+
+// ─── Deleting ─────────────────────────────────────────
+
+// Refunds everyone who paid for the event, before its records go
+async function refundPaidOrders(db, event) {
+  const stmt = db.prepare("SELECT * FROM orders WHERE event_id = ? AND status = 'paid'");
+  stmt.bind([event.id]);
+  const paidOrders = [];
+  while (stmt.step()) paidOrders.push(stmt.getAsObject());
+  stmt.free();
+  for (const order of paidOrders) await refundOrder(db, order);
+  return paidOrders.length;
+}
+
+// Deletes the event and everything recorded about it. Call it inside a
+// transaction so it all goes together, or nothing does.
+function deleteEventRows(db, event) {
+  db.run('DELETE FROM waitlist WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM orders WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM attendees WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM ticket_tiers WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM event_members WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM event_invitations WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM checkin_log WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM message_recipients WHERE message_id IN (SELECT id FROM event_messages WHERE event_id = ?)', [event.id]);
+  db.run('DELETE FROM event_messages WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM email_unsubscribes WHERE event_id = ?', [event.id]);
+  db.run('DELETE FROM events WHERE id = ?', [event.id]);
+
+  // A deleted occurrence becomes an exception to its series' rule
+  if (event.series_id) {
+    const series = getSeries(db, event.series_id);
+    if (series && !getOccurrences(db, series.id).length) {
+      db.run('DELETE FROM series WHERE id = ?', [series.id]);
+    } else if (series) {
+      const exceptions = [...new Set([...series.exceptions, event.date])].sort();
+      db.run('UPDATE series SET exceptions = ? WHERE id = ?', [JSON.stringify(exceptions), series.id]);
+    }
+  }
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_LABELS,
+  transitionError,
+  registrationProblem,
+  checkinProblem,
+  releaseEvent,
+  refundPaidOrders,
+  deleteEventRows
+};
@@ -0,0 +1,152 @@
+// Public event listing: search, filters, sort order and cursor pagination
+// for GET /api/events. Unlisted and private events are never listed.
+//
+// Query parameters:
+//   q          words to find in the title, description or location (all must match)
+//   when       upcoming (default) | past | all — based on the event's end
+//   from, to   YYYY-MM-DD, inclusive, on the event's own local date
+//   price      free | paid
+//   has_spots  true to hide events with no seats left
+//   sort       date (default; newest first for past) | -date | newest | popular
+//   limit      page size, 1–100 (default 20)
+//   cursor     next_cursor from the previous page
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Each sort is a column of the inner query plus a direction; id breaks ties
+const SORTS = {
+  date: { column: 'starts_at', dir: 'ASC' },
+  '-date': { column: 'starts_at', dir: 'DESC' },
+  newest: { column: 'created_at', dir: 'DESC' },
+  popular: { column: 'rsvp_count', dir: 'DESC' }
+};
+
+function encodeCursor(event, sort) {
+  return Buffer.from(JSON.stringify({ k: event[SORTS[sort].column], id: event.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!parsed || typeof parsed.id !== 'string' || !('k' in parsed)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+// Validates the query string. Returns { options } or { error }.
+function parseListingQuery(query) {
+  const when = query.when || 'upcoming';
+  if (!['upcoming', 'past', 'all'].includes(when)) return { error: 'when must be upcoming, past or all' };
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && !DATE_RE.test(query[key])) return { error: `${key} must be a date (YYYY-MM-DD)` };
+  }
+  if (query.from && query.to && query.from > query.to) return { error: 'from must be on or before to' };
+
+  if (query.price && !['free', 'paid'].includes(query.price)) return { error: 'price must be free or paid' };
+
+  const sort = query.sort || (when === 'past' ? '-date' : 'date');
+  if (!SORTS[sort]) return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  const words = String(query.q || '').trim().split(/\s+/).filter(Boolean).slice(0, 10);
+
+  return {
+    options: {
+      words,
+      when,
+      from: query.from || null,
+      to: query.to || null,
+      price: query.price || null,
+      hasSpots: query.has_spots === 'true' || query.has_spots === '1',
+      sort,
+      limit,
+      cursor
+    }
+  };
+}
+
+// LIKE pattern matching `word` literally anywhere
+function likePattern(word) {
+  return `%${word.toLowerCase().replace(/[\\%_]/g, c => '\\' + c)}%`;
+}
+
+// Returns { events, next_cursor }. Each event carries rsvp_count and
+// spots_left, where spots_left also counts seats held by open waitlist
+// offers and unpaid checkouts, matching what registration will allow.
+function searchEvents(db, options) {
+  const now = new Date().toISOString();
+  const where = ["e.status = 'published'", "coalesce(e.visibility, 'public') = 'public'"];
+  const params = [now, now];
+
+  if (options.when === 'upcoming') { where.push('e.ends_at > ?'); params.push(now); }
+  if (options.when === 'past') { where.push('e.ends_at <= ?'); params.push(now); }
+  if (options.from) { where.push('e.date >= ?'); params.push(options.from); }
+  if (options.to) { where.push('e.date <= ?'); params.push(options.to); }
+  if (options.price) { where.push('e.ticket_type = ?'); params.push(options.price); }
+
+  for (const word of options.words) {
+    where.push("(lower(e.title) LIKE ? ESCAPE '\\' OR lower(coalesce(e.description, '')) LIKE ? ESCAPE '\\' OR lower(e.location) LIKE ? ESCAPE '\\')");
+    const pattern = likePattern(word);
+    params.push(pattern, pattern, pattern);
+  }
+
+  const outer = [];
+  if (options.hasSpots) outer.push('taken < capacity');
+
+  const { column, dir } = SORTS[options.sort];
+  if (options.cursor) {
+    const op = dir === 'ASC' ? '>' : '<';
+    outer.push(`(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`);
+    params.push(options.cursor.k, options.cursor.k, options.cursor.id);
+  }
+
+  const sql = `
+    SELECT * FROM (
+      SELECT e.*,
+        (SELECT COUNT(*) FROM attendees a WHERE a.event_id = e.id AND a.cancelled = 0 AND a.approval_status = 'approved') AS rsvp_count,
+        (SELECT COUNT(*) FROM attendees a WHERE a.event_id = e.id AND a.cancelled = 0 AND a.approval_status = 'approved')
+          + (SELECT COUNT(*) FROM waitlist w WHERE w.event_id = e.id AND w.status = 'offered' AND w.offer_expires_at > ?)
+          + (SELECT COUNT(*) FROM orders o WHERE o.event_id = e.id AND o.status = 'pending' AND o.expires_at > ?) AS taken
+      FROM events e
+      WHERE ${where.join(' AND ')}
+    )
+    ${outer.length ? `WHERE ${outer.join(' AND ')}` : ''}
+    ORDER BY ${column} ${dir}, id ${dir}
+    LIMIT ?
+  `;
+  params.push(options.limit + 1);
+
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const rows = [];
+  while (stmt.step()) rows.push(stmt.getAsObject());
+  stmt.free();
+
+  const hasMore = rows.length > options.limit;
+  const events = rows.slice(0, options.limit).map(({ taken, ...event }) => ({
+    ...event,
+    spots_left: Math.max(0, event.capacity - taken)
+  }));
+
+  return {
+    events,
+    next_cursor: hasMore ? encodeCursor(events[events.length - 1], options.sort) : null
+  };
+}
+
+module.exports = { parseListingQuery, searchEvents };
@@ -0,0 +1,150 @@
+// Live updates over Server-Sent Events. The dashboard and check-in page hold
+// a stream per event (GET /api/events/:slug/live) and routes publish to it as
+// people register, cancel, join the waitlist or get checked in, so every
+// screen stays current without reloading.
+//
+// Streams are kept in this process. Every message carries the event's current
+// counts; screens that need more reload the attendee list. Access is checked
+// again before each message, so someone removed from the team stops getting
+// updates straight away.
+//
+// Message types: ready | registration | cancellation | review | waitlist | checkin | event
+
+const { getRole, can } = require('./permissions');
+const { checkedInNow } = require('./checkins');
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAMS_PER_USER = 10;
+
+// event id → Set of { res, user }
+const channels = new Map();
+let nextMessageId = 1;
+
+function findEvent(db, eventId) {
+  const stmt = db.prepare('SELECT * FROM events WHERE id = ?');
+  stmt.bind([eventId]);
+  const event = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return event;
+}
+
+// The same numbers the dashboard shows at the top
+function liveCounts(db, event) {
+  const stmt = db.prepare('SELECT id, approval_status FROM attendees WHERE event_id = ? AND cancelled = 0');
+  stmt.bind([event.id]);
+  const here = checkedInNow(db, event);
+  const counts = { total: 0, checked_in: 0, pending_count: 0, waitlist_count: 0 };
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    if (row.approval_status === 'pending') counts.pending_count++;
+    if (row.approval_status !== 'approved') continue;
+    counts.total++;
+    if (here.has(row.id)) counts.checked_in++;
+  }
+  stmt.free();
+
+  const wlStmt = db.prepare("SELECT COUNT(*) AS n FROM waitlist WHERE event_id = ? AND status IN ('waiting', 'offered')");
+  wlStmt.bind([event.id]);
+  wlStmt.step();
+  counts.waitlist_count = wlStmt.getAsObject().n;
+  wlStmt.free();
+  return counts;
+}
+
+function write(res, type, data) {
+  res.write(`id: ${nextMessageId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function countUserStreams(userId) {
+  let n = 0;
+  channels.forEach(clients => clients.forEach(c => { if (c.user.id === userId) n++; }));
+  return n;
+}
+
+// Turns the response into a stream of the event's updates. The caller has
+// already checked the user may view attendees. Returns false (having sent a
+// 429) when the user has too many streams open.
+function openStream(db, req, res, event) {
+  const user = req.session.user;
+  if (countUserStreams(user.id) >= MAX_STREAMS_PER_USER) {
+    res.status(429).json({ error: 'Too many live connections — close some tabs and try again' });
+    return false;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const client = { res, user };
+  if (!channels.has(event.id)) channels.set(event.id, new Set());
+  channels.get(event.id).add(client);
+
+  // Screens reload everything on "ready", which also covers anything missed while reconnecting
+  write(res, 'ready', { counts: liveCounts(db, event), at: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient(event.id, client);
+  });
+  return true;
+}
+
+function removeClient(eventId, client) {
+  const clients = channels.get(eventId);
+  if (!clients) return;
+  clients.delete(client);
+  if (!clients.size) channels.delete(eventId);
+}
+
+// Sends an update to everyone watching the event. Cheap when nobody is.
+function publish(db, eventId, type, data = {}) {
+  const clients = channels.get(eventId);
+  if (!clients || !clients.size) return;
+
+  const event = findEvent(db, eventId);
+  if (!event) return closeStreams(eventId);
+
+  const message = { ...data, counts: liveCounts(db, event), at: new Date().toISOString() };
+  for (const client of [...clients]) {
+    if (!can(getRole(db, event, client.user), 'view_attendees')) {
+      client.res.end();
+      removeClient(eventId, client);
+      continue;
+    }
+    write(client.res, type, message);
+  }
+}
+
+// Ends every stream of an event, e.g. once it's deleted
+function closeStreams(eventId, data = null) {
+  const clients = channels.get(eventId);
+  if (!clients) return;
+  for (const client of clients) {
+    if (data) write(client.res, 'event', data);
+    client.res.end();
+  }
+  channels.delete(eventId);
+}
+
+// The attendee fields sent with updates
+function describeAttendee(attendee) {
+  return {
+    id: attendee.id,
+    name: attendee.name,
+    registrant_id: attendee.registrant_id || null,
+    approval_status: attendee.approval_status || 'approved'
+  };
+}
+
+module.exports = {
+  openStream,
+  publish,
+  closeStreams,
+  describeAttendee
+};
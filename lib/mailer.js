@@ -0,0 +1,197 @@
+// Outgoing mail. Configured through environment variables:
+//
+//   MAIL_TRANSPORT  smtp | file | json  (defaults to smtp when SMTP_HOST is set, json otherwise)
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_FROM       From header, e.g. "Gather <hello@example.com>"
+//   MAIL_OUTBOX     directory the file/json transports write to (default ./outbox)
+//
+// The file transport writes raw .eml files and the json transport writes the
+// message as JSON, so both can be inspected without a mail server.
+
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const templates = require('./email-templates');
+const { buildCalendar, icsFilename } = require('./calendar');
+const { invitationUrl } = require('./access');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'Gather <no-reply@gather.local>';
+const OUTBOX = process.env.MAIL_OUTBOX || path.join(__dirname, '..', 'outbox');
+const TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+let transporter = null;
+
+function getTransporter() {
+  if (transporter) return transporter;
+
+  if (TRANSPORT === 'smtp') {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  } else if (TRANSPORT === 'file') {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  } else if (TRANSPORT === 'json') {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${TRANSPORT}"`);
+  }
+  return transporter;
+}
+
+function writeToOutbox(info) {
+  fs.mkdirSync(OUTBOX, { recursive: true });
+  const ext = TRANSPORT === 'file' ? 'eml' : 'json';
+  const id = (info.messageId || Date.now().toString()).replace(/[^a-zA-Z0-9.-]/g, '');
+  const file = path.join(OUTBOX, `${Date.now()}-${id}.${ext}`);
+  fs.writeFileSync(file, info.message);
+  return file;
+}
+
+// Sends a message and never throws — mail failures are logged, not surfaced to
+// the request that triggered them.
+async function deliver(message) {
+  try {
+    const info = await getTransporter().sendMail({ from: MAIL_FROM, ...message });
+    if (TRANSPORT !== 'smtp') {
+      const file = writeToOutbox(info);
+      console.log(`  ✉ ${message.subject} → ${message.to} (${file})`);
+    }
+    return info;
+  } catch (err) {
+    console.error(`Failed to send "${message.subject}" to ${message.to}:`, err.message);
+    return null;
+  }
+}
+
+// ─── Transactional messages ───────────────────────────
+
+// Guests without an email of their own get their tickets in the registrant's
+// confirmation; guests with one are sent a confirmation of their own.
+function sendRsvpConfirmation(event, attendee, guests = []) {
+  const bundled = guests.filter(g => g.email === attendee.email);
+  const content = templates.rsvpConfirmation(event, attendee, {
+    cancelUrl: `${BASE_URL}/cancel/${attendee.id}/${attendee.cancel_token}`,
+    ticketUrl: `${BASE_URL}/event/${event.slug}/confirmation/${attendee.id}`,
+    guests: bundled
+  });
+  const attachments = [
+    ...(attendee.qr_code ? [{ filename: 'ticket.png', path: attendee.qr_code, cid: 'ticket-qr' }] : []),
+    ...bundled.map((guest, i) => ({ filename: `guest-${i + 1}-ticket.png`, path: guest.qr_code, cid: `guest-qr-${i}` })),
+    { filename: icsFilename(event), content: buildCalendar([event], { method: 'PUBLISH' }), contentType: 'text/calendar; charset=utf-8' }
+  ];
+  guests.filter(g => g.email !== attendee.email).forEach(guest => sendRsvpConfirmation(event, guest));
+  return deliver({ to: attendee.email, ...content, attachments });
+}
+
+function sendCancellationReceipt(event, attendee, refund = null) {
+  const content = templates.cancellationReceipt(event, attendee, {
+    eventUrl: `${BASE_URL}/event/${event.slug}`,
+    refund
+  });
+  return deliver({ to: attendee.email, ...content });
+}
+
+function sendEventCancelled(event, person, { refund = null, waitlisted = false } = {}) {
+  const content = templates.eventCancelled(event, person, {
+    eventUrl: `${BASE_URL}/event/${event.slug}`,
+    refund,
+    waitlisted
+  });
+  return deliver({ to: person.email, ...content });
+}
+
+function sendRegistrationPending(event, attendee, guestCount = 0) {
+  const content = templates.registrationPending(event, attendee, {
+    cancelUrl: `${BASE_URL}/cancel/${attendee.id}/${attendee.cancel_token}`,
+    statusUrl: `${BASE_URL}/event/${event.slug}/confirmation/${attendee.id}`,
+    guestCount
+  });
+  return deliver({ to: attendee.email, ...content });
+}
+
+function sendRegistrationDeclined(event, attendee) {
+  const content = templates.registrationDeclined(event, attendee, { eventUrl: `${BASE_URL}/event/${event.slug}` });
+  return deliver({ to: attendee.email, ...content });
+}
+
+function sendWaitlistPromotion(event, entry) {
+  const content = templates.waitlistPromotion(event, entry, {
+    claimUrl: `${BASE_URL}/claim/${entry.id}/${entry.claim_token}`,
+    expiresAt: entry.offer_expires_at
+  });
+  return deliver({ to: entry.email, ...content });
+}
+
+function sendEventInvitation(event, invitation, { inviterName }) {
+  const content = templates.eventInvitation(event, invitation, {
+    inviterName,
+    inviteUrl: invitationUrl(event, invitation)
+  });
+  return deliver({ to: invitation.email, ...content });
+}
+
+function sendMemberInvite(event, member, { inviterName, roleLabel }) {
+  const content = templates.memberInvite(event, member, {
+    inviterName,
+    roleLabel,
+    acceptUrl: `${BASE_URL}/invite/${member.id}/${member.invite_token}`
+  });
+  return deliver({ to: member.email, ...content });
+}
+
+// ─── Host messages ────────────────────────────────────
+
+// One recipient's copy of a host's message. Without an unsubscribe token the
+// message is essential and goes out regardless.
+function sendHostMessage(event, recipient, message, unsubscribeToken = null) {
+  const unsubscribeUrl = unsubscribeToken ? `${BASE_URL}/unsubscribe/${unsubscribeToken}` : null;
+  const content = templates.hostMessage(event, recipient, {
+    subject: message.subject,
+    body: message.body,
+    eventUrl: `${BASE_URL}/event/${event.slug}`,
+    unsubscribeUrl
+  });
+  const headers = unsubscribeUrl ? {
+    'List-Unsubscribe': `<${BASE_URL}/api/unsubscribe/${unsubscribeToken}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  } : {};
+  return deliver({ to: recipient.email, ...content, headers });
+}
+
+// ─── Account ──────────────────────────────────────────
+
+function sendPasswordReset(user, token) {
+  const content = templates.passwordReset(user, { resetUrl: `${BASE_URL}/reset-password/${token}` });
+  return deliver({ to: user.email, ...content });
+}
+
+// Goes to the address being verified, which may not be the account's yet
+function sendEmailVerification(user, email, token) {
+  const content = templates.emailVerification(user, { verifyUrl: `${BASE_URL}/verify-email/${token}` });
+  return deliver({ to: email, ...content });
+}
+
+function sendAccountChanged(user, email, change) {
+  const content = templates.accountChanged(user, { change, forgotUrl: `${BASE_URL}/forgot-password` });
+  return deliver({ to: email, ...content });
+}
+
+module.exports = {
+  deliver,
+  sendRsvpConfirmation,
+  sendCancellationReceipt,
+  sendEventCancelled,
+  sendRegistrationPending,
+  sendRegistrationDeclined,
+  sendWaitlistPromotion,
+  sendEventInvitation,
+  sendMemberInvite,
+  sendHostMessage,
+  sendPasswordReset,
+  sendEmailVerification,
+  sendAccountChanged
+};
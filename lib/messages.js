@@ -0,0 +1,276 @@
+// Host messages. Hosts email a segment of their guests about an event (a venue
+// change, a reminder) from the dashboard. Every message is kept with each
+// recipient's delivery status, for the dashboard's history.
+//
+// Each message carries a link to unsubscribe from the host's messages about
+// that event. Messages marked essential still reach people who unsubscribed;
+// everything else skips them. Hosts can send MAX_PER_HOUR messages an hour
+// and MAX_PER_DAY a day for each event.
+//
+// event_messages.status: sending | sent
+// message_recipients.status: queued | sent | failed | unsubscribed
+
+const { v4: uuidv4 } = require('uuid');
+const tokens = require('./tokens');
+const mailer = require('./mailer');
+const { checkedInNow } = require('./checkins');
+const { saveDb } = require('../db');
+
+const SEGMENTS = {
+  all: 'Everyone registered',
+  checked_in: 'Checked in',
+  not_checked_in: 'Not checked in yet',
+  waitlist: 'Waitlist'
+};
+
+const MAX_PER_HOUR = parseInt(process.env.MESSAGES_PER_HOUR) || 3;
+const MAX_PER_DAY = parseInt(process.env.MESSAGES_PER_DAY) || 10;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+
+// People in a segment, once per email address. Guests who share their
+// registrant's address are covered by the registrant's copy. Who is checked
+// in comes from the check-in log, for the session under way.
+function getRecipients(db, event, segment) {
+  const sql = segment === 'waitlist'
+    ? "SELECT id AS waitlist_id, NULL AS attendee_id, name, email FROM waitlist WHERE event_id = ? AND status IN ('waiting', 'offered') ORDER BY created_at ASC"
+    : `SELECT id AS attendee_id, NULL AS waitlist_id, name, email FROM attendees
+       WHERE event_id = ? AND cancelled = 0 AND approval_status = 'approved'
+       ORDER BY registrant_id IS NOT NULL, created_at ASC`;
+  const stmt = db.prepare(sql);
+  stmt.bind([event.id]);
+  const present = segment === 'checked_in' || segment === 'not_checked_in' ? checkedInNow(db, event) : null;
+  const seen = new Set();
+  const recipients = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    if (present && present.has(row.attendee_id) !== (segment === 'checked_in')) continue;
+    const key = row.email.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    recipients.push(row);
+  }
+  stmt.free();
+  return recipients;
+}
+
+function segmentCounts(db, event) {
+  const counts = {};
+  Object.keys(SEGMENTS).forEach(segment => { counts[segment] = getRecipients(db, event, segment).length; });
+  return counts;
+}
+
+function countSentSince(db, event, since) {
+  const stmt = db.prepare('SELECT COUNT(*) AS n, MIN(created_at) AS oldest FROM event_messages WHERE event_id = ? AND created_at > ?');
+  stmt.bind([event.id, since.toISOString()]);
+  stmt.step();
+  const row = stmt.getAsObject();
+  stmt.free();
+  return row;
+}
+
+// Null when the host may send now, otherwise { error, retryAfter } in seconds
+function rateLimitError(db, event) {
+  const now = Date.now();
+  const windows = [
+    { limit: MAX_PER_HOUR, ms: 60 * 60 * 1000, label: 'an hour' },
+    { limit: MAX_PER_DAY, ms: 24 * 60 * 60 * 1000, label: 'a day' }
+  ];
+  for (const { limit, ms, label } of windows) {
+    const { n, oldest } = countSentSince(db, event, new Date(now - ms));
+    if (n >= limit) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(oldest).getTime() + ms - now) / 1000));
+      return { error: `You can send ${limit} message${limit === 1 ? '' : 's'} ${label} for this event — try again later`, retryAfter };
+    }
+  }
+  return null;
+}
+
+// ─── Unsubscribing ────────────────────────────────────
+
+function unsubscribeToken(event, email) {
+  return tokens.sign({ k: 'unsubscribe', e: event.id, m: email.toLowerCase() });
+}
+
+// { eventId, email } or null
+function readUnsubscribeToken(token) {
+  const payload = tokens.verify(token);
+  if (!payload || payload.k !== 'unsubscribe' || !payload.e || !payload.m) return null;
+  return { eventId: payload.e, email: payload.m };
+}
+
+function isUnsubscribed(db, eventId, email) {
+  const stmt = db.prepare('SELECT 1 FROM email_unsubscribes WHERE event_id = ? AND email = ?');
+  stmt.bind([eventId, email.toLowerCase()]);
+  const found = stmt.step();
+  stmt.free();
+  return found;
+}
+
+function unsubscribe(db, eventId, email) {
+  db.run('INSERT OR IGNORE INTO email_unsubscribes (event_id, email) VALUES (?, ?)', [eventId, email.toLowerCase()]);
+}
+
+function resubscribe(db, eventId, email) {
+  db.run('DELETE FROM email_unsubscribes WHERE event_id = ? AND email = ?', [eventId, email.toLowerCase()]);
+}
+
+// ─── Sending ──────────────────────────────────────────
+
+// Validates and records a message with its recipients, ready for
+// deliverMessage(). Returns { message } or { error, status, retryAfter }.
+function createMessage(db, event, user, { segment, subject, body, essential }) {
+  if (!SEGMENTS[segment]) return { error: `Segment must be one of ${Object.keys(SEGMENTS).join(', ')}`, status: 400 };
+  const cleanSubject = String(subject || '').trim();
+  const cleanBody = String(body || '').trim();
+  if (!cleanSubject || !cleanBody) return { error: 'Subject and message are required', status: 400 };
+  if (cleanSubject.length > MAX_SUBJECT_LENGTH) return { error: `Keep the subject under ${MAX_SUBJECT_LENGTH} characters`, status: 400 };
+  if (cleanBody.length > MAX_BODY_LENGTH) return { error: `Keep the message under ${MAX_BODY_LENGTH} characters`, status: 400 };
+
+  const limited = rateLimitError(db, event);
+  if (limited) return { ...limited, status: 429 };
+
+  const recipients = getRecipients(db, event, segment);
+  if (!recipients.length) return { error: `There's nobody in "${SEGMENTS[segment]}" to send to`, status: 400 };
+
+  const message = {
+    id: uuidv4(),
+    event_id: event.id,
+    sender_id: user.id,
+    segment,
+    subject: cleanSubject,
+    body: cleanBody,
+    essential: essential ? 1 : 0,
+    status: 'sending',
+    recipient_count: recipients.length,
+    created_at: new Date().toISOString()
+  };
+  db.run(
+    `INSERT INTO event_messages (id, event_id, sender_id, segment, subject, body, essential, status, recipient_count, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [message.id, event.id, user.id, segment, message.subject, message.body, message.essential, message.status, message.recipient_count, message.created_at]
+  );
+  for (const r of recipients) {
+    const status = !essential && isUnsubscribed(db, event.id, r.email) ? 'unsubscribed' : 'queued';
+    db.run(
+      'INSERT INTO message_recipients (id, message_id, name, email, attendee_id, waitlist_id, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [uuidv4(), message.id, r.name, r.email, r.attendee_id, r.waitlist_id, status]
+    );
+  }
+  return { message };
+}
+
+// Emails every recipient still queued, recording each delivery. Runs after the
+// request has been answered; a message interrupted by a restart is picked up
+// again by resumeMessages(). Each delivery is saved as it happens, so a
+// restart doesn't email people who already got the message.
+async function deliverMessage(db, event, message) {
+  const stmt = db.prepare("SELECT * FROM message_recipients WHERE message_id = ? AND status = 'queued'");
+  stmt.bind([message.id]);
+  const queued = [];
+  while (stmt.step()) queued.push(stmt.getAsObject());
+  stmt.free();
+
+  for (const recipient of queued) {
+    const token = message.essential ? null : unsubscribeToken(event, recipient.email);
+    const info = await mailer.sendHostMessage(event, recipient, message, token);
+    db.run(
+      'UPDATE message_recipients SET status = ?, error = ?, sent_at = ? WHERE id = ?',
+      info ? ['sent', null, new Date().toISOString(), recipient.id] : ['failed', 'The mail server did not accept this message', null, recipient.id]
+    );
+    saveDb();
+  }
+
+  db.run("UPDATE event_messages SET status = 'sent', completed_at = ? WHERE id = ?", [new Date().toISOString(), message.id]);
+  saveDb();
+}
+
+// Finishes messages a restart interrupted. Returns how many there were.
+function resumeMessages(db) {
+  const stmt = db.prepare("SELECT * FROM event_messages WHERE status = 'sending'");
+  const pending = [];
+  while (stmt.step()) pending.push(stmt.getAsObject());
+  stmt.free();
+
+  for (const message of pending) {
+    const eventStmt = db.prepare('SELECT * FROM events WHERE id = ?');
+    eventStmt.bind([message.event_id]);
+    const event = eventStmt.step() ? eventStmt.getAsObject() : null;
+    eventStmt.free();
+    if (event) deliverMessage(db, event, message).catch(err => console.error(err));
+  }
+  return pending.length;
+}
+
+// ─── History ──────────────────────────────────────────
+
+function describeMessage(row) {
+  return {
+    id: row.id,
+    segment: row.segment,
+    segment_label: SEGMENTS[row.segment],
+    subject: row.subject,
+    body: row.body,
+    essential: !!row.essential,
+    status: row.status,
+    sender_name: row.sender_name || null,
+    recipient_count: row.recipient_count,
+    sent: row.sent || 0,
+    failed: row.failed || 0,
+    unsubscribed: row.unsubscribed || 0,
+    queued: row.queued || 0,
+    created_at: row.created_at,
+    completed_at: row.completed_at
+  };
+}
+
+const WITH_COUNTS = `
+  SELECT m.*, u.name AS sender_name,
+    SUM(r.status = 'sent') AS sent, SUM(r.status = 'failed') AS failed,
+    SUM(r.status = 'unsubscribed') AS unsubscribed, SUM(r.status = 'queued') AS queued
+  FROM event_messages m
+  LEFT JOIN users u ON u.id = m.sender_id
+  LEFT JOIN message_recipients r ON r.message_id = m.id
+`;
+
+// Newest first
+function listMessages(db, event) {
+  const stmt = db.prepare(`${WITH_COUNTS} WHERE m.event_id = ? GROUP BY m.id ORDER BY m.created_at DESC`);
+  stmt.bind([event.id]);
+  const messages = [];
+  while (stmt.step()) messages.push(describeMessage(stmt.getAsObject()));
+  stmt.free();
+  return messages;
+}
+
+// The message with each recipient's delivery status, or null
+function getMessage(db, event, messageId) {
+  const stmt = db.prepare(`${WITH_COUNTS} WHERE m.event_id = ? AND m.id = ? GROUP BY m.id`);
+  stmt.bind([event.id, messageId]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  if (!row || !row.id) return null;
+
+  const recStmt = db.prepare('SELECT name, email, status, error, sent_at FROM message_recipients WHERE message_id = ? ORDER BY rowid ASC');
+  recStmt.bind([messageId]);
+  const recipients = [];
+  while (recStmt.step()) recipients.push(recStmt.getAsObject());
+  recStmt.free();
+  return { message: describeMessage(row), recipients };
+}
+
+module.exports = {
+  SEGMENTS,
+  MAX_PER_HOUR,
+  MAX_PER_DAY,
+  segmentCounts,
+  createMessage,
+  deliverMessage,
+  resumeMessages,
+  listMessages,
+  getMessage,
+  readUnsubscribeToken,
+  isUnsubscribed,
+  unsubscribe,
+  resubscribe
+};
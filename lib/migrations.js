@@ -0,0 +1,128 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN-description.js and exports up(db, { addColumn }); the number is its
+// version. getDb() applies any that haven't run, in order, each in its own
+// transaction, and records them in schema_version.
+//
+// Databases from before schema_version existed have some of the columns
+// already, so every migration must be safe to run against any earlier
+// schema: CREATE ... IF NOT EXISTS, and addColumn() rather than a bare
+// ALTER TABLE. Never edit a migration once it has shipped; add a new one.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// [{ version, name, up }] in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ version: parseInt(match[1], 10), name: match[2], up: require(path.join(dir, file)).up }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (typeof m.up !== 'function') throw new Error(`Migration ${m.version}-${m.name} doesn't export up()`);
+    if (i && migrations[i - 1].version === m.version) throw new Error(`Two migrations are numbered ${m.version}`);
+  });
+  return migrations;
+}
+
+function ensureVersionTable(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+function hasTable(db, table) {
+  const stmt = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?");
+  stmt.bind([table]);
+  const found = stmt.step();
+  stmt.free();
+  return found;
+}
+
+function hasColumn(db, table, column) {
+  const stmt = db.prepare(`PRAGMA table_info(${table})`);
+  let found = false;
+  while (!found && stmt.step()) found = stmt.getAsObject().name === column;
+  stmt.free();
+  return found;
+}
+
+// ALTER TABLE ... ADD COLUMN, skipped when the column is already there
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// [{ version, name, applied_at }], oldest first
+function appliedMigrations(db) {
+  if (!hasTable(db, 'schema_version')) return [];
+  const stmt = db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version ASC');
+  const applied = [];
+  while (stmt.step()) applied.push(stmt.getAsObject());
+  stmt.free();
+  return applied;
+}
+
+function currentVersion(db) {
+  const applied = appliedMigrations(db);
+  return applied.length ? applied[applied.length - 1].version : 0;
+}
+
+// Where the database stands: { current, latest, applied, pending }
+function migrationStatus(db, migrations = loadMigrations()) {
+  const applied = appliedMigrations(db);
+  const done = new Set(applied.map(m => m.version));
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(m => !done.has(m.version)).map(({ version, name }) => ({ version, name }))
+  };
+}
+
+// Applies pending migrations up to `target` (default: all of them).
+// beforeMigrating(status) is called once, only if there's something to do,
+// e.g. to back up the database file. Returns the migrations applied. A failed
+// migration is rolled back and the error rethrown; earlier ones stay applied.
+function migrate(db, { target = Infinity, beforeMigrating = null, migrations = loadMigrations() } = {}) {
+  ensureVersionTable(db);
+  const status = migrationStatus(db, migrations);
+  if (status.current > status.latest) {
+    throw new Error(`The database is at schema version ${status.current}, newer than this code knows about (${status.latest})`);
+  }
+
+  const todo = migrations.filter(m => m.version <= target && status.pending.some(p => p.version === m.version));
+  if (!todo.length) return [];
+  if (beforeMigrating) beforeMigrating(status);
+
+  for (const migration of todo) {
+    db.run('BEGIN');
+    try {
+      migration.up(db, { addColumn });
+      db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]);
+      db.run('COMMIT');
+    } catch (err) {
+      db.run('ROLLBACK');
+      err.message = `Migration ${migration.version}-${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+  }
+  return todo.map(({ version, name }) => ({ version, name }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  addColumn,
+  currentVersion,
+  migrationStatus,
+  migrate
+};
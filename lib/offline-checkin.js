@@ -0,0 +1,154 @@
+// Offline check-in. A check-in station downloads a manifest of the event's
+// tickets, checks scans against it while the venue Wi-Fi is down, queues them
+// and sends the queue back in one batch when it reconnects.
+//
+// The manifest lists tickets by the SHA-256 of their QR token, so the station
+// can recognize a ticket without holding copies that would scan elsewhere.
+// It comes with a signed manifest token; synced scans are only accepted with
+// a valid one, and only for as long as the manifest is valid.
+//
+// Each queued scan carries an id made by the station, so syncing the same
+// queue twice records it once. When two stations let the same person in
+// while offline, the scan that reaches the server first is the check-in and
+// the other is logged as a duplicate and reported back as a conflict.
+
+const crypto = require('crypto');
+const tokens = require('./tokens');
+const { readTicket } = require('./tickets');
+const { approvalProblem } = require('./approvals');
+const { sessionFor, checkIn, logRejection, findSyncedScan, checkedInNow } = require('./checkins');
+
+const MANIFEST_HOURS = parseFloat(process.env.CHECKIN_MANIFEST_HOURS) || 24;
+const MAX_SYNC_SCANS = 500;
+// Station clocks drift; scans stamped a little in the future are taken as "now"
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function hashTicket(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Everything a station needs to check people in without a connection
+function buildManifest(db, event, user) {
+  const issuedAt = Date.now();
+  const validUntil = issuedAt + MANIFEST_HOURS * 60 * 60 * 1000;
+
+  const stmt = db.prepare(`
+    SELECT id, name, email, ticket_token, cancelled, approval_status, registrant_id
+    FROM attendees WHERE event_id = ? ORDER BY name COLLATE NOCASE ASC
+  `);
+  stmt.bind([event.id]);
+  const here = checkedInNow(db, event);
+  const tickets = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    const problem = row.cancelled ? 'This RSVP has been cancelled' : approvalProblem(row);
+    tickets.push({
+      attendee_id: row.id,
+      name: row.name,
+      email: row.email,
+      registrant_id: row.registrant_id,
+      hash: row.ticket_token ? hashTicket(row.ticket_token) : null,
+      valid: !problem,
+      problem,
+      checked_in: here.has(row.id)
+    });
+  }
+  stmt.free();
+
+  return {
+    manifest_token: tokens.sign({ k: 'checkin-manifest', e: event.id, u: user.id, iat: issuedAt, until: validUntil }),
+    event: { id: event.id, slug: event.slug, title: event.title, session: sessionFor(event) },
+    generated_at: new Date(issuedAt).toISOString(),
+    valid_until: new Date(validUntil).toISOString(),
+    tickets
+  };
+}
+
+// The manifest payload, or null if the token isn't a manifest for this event
+function readManifestToken(token, event) {
+  const payload = tokens.verify(token);
+  if (!payload || payload.k !== 'checkin-manifest' || payload.e !== event.id) return null;
+  return payload;
+}
+
+function scanTime(value) {
+  const at = new Date(value);
+  if (!value || isNaN(at)) return null;
+  return at.getTime() > Date.now() + CLOCK_SKEW_MS ? new Date() : at;
+}
+
+// Records one queued scan. Returns the result reported back to the station.
+function syncScan(db, event, manifest, scan, { user, device }) {
+  const id = typeof scan.id === 'string' ? scan.id.slice(0, 100) : null;
+  if (!id) return { id: null, status: 'invalid', reason: 'Scan has no id' };
+
+  const already = findSyncedScan(db, event, id);
+  if (already) return { id, status: 'already_synced', outcome: already.outcome, attendee_id: already.attendee_id };
+
+  const at = scanTime(scan.scanned_at);
+  if (!at) return { id, status: 'invalid', reason: 'Scan has no valid time' };
+
+  const method = typeof scan.qrData === 'string' && scan.qrData ? 'qr' : 'manual';
+  const source = { method, user, device, at, clientId: id };
+  const reject = (reason, attendeeId = null) => {
+    logRejection(db, event, { ...source, attendeeId, reason });
+    return { id, status: 'rejected', attendee_id: attendeeId, reason };
+  };
+
+  // A malformed scan is turned away on its own rather than failing the batch
+  if (scan.qrData !== undefined && scan.qrData !== null && typeof scan.qrData !== 'string') return reject('Scan has an invalid QR code');
+  if (!scan.qrData && (typeof scan.attendee_id !== 'string' || !scan.attendee_id)) return reject('Scan has no ticket or attendee');
+
+  if (at.getTime() > manifest.until) return reject('Scanned after the check-in list expired');
+
+  let attendeeId = scan.attendee_id;
+  if (scan.qrData) {
+    const ticket = readTicket(scan.qrData);
+    if (!ticket) return reject('Invalid QR code');
+    attendeeId = ticket.attendeeId;
+  }
+
+  const stmt = db.prepare('SELECT * FROM attendees WHERE id = ? AND event_id = ?');
+  stmt.bind([attendeeId, event.id]);
+  const attendee = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  if (!attendee) return reject('This ticket is not for this event');
+
+  if (scan.qrData && attendee.ticket_token !== scan.qrData.trim()) return reject('This ticket is no longer valid', attendee.id);
+  if (attendee.cancelled) return reject('This RSVP has been cancelled', attendee.id);
+  const approvalError = approvalProblem(attendee);
+  if (approvalError) return reject(approvalError, attendee.id);
+
+  const result = checkIn(db, event, attendee, source);
+  const base = { id, attendee_id: attendee.id, name: attendee.name };
+  if (result.outcome !== 'duplicate') return { ...base, status: result.outcome };
+
+  // Someone else let this person in first: a conflict the station should show
+  const first = result.existing;
+  const sameStation = first.device && first.device === result.entry.device;
+  return {
+    ...base,
+    status: sameStation ? 'duplicate' : 'conflict',
+    first_checkin: { at: first.created_at, device: first.device, user_id: first.user_id }
+  };
+}
+
+// Records a station's queued scans in the order they were scanned.
+// Returns { results, summary } or { error } when the batch can't be accepted.
+function syncScans(db, event, user, { manifest_token, device, scans }) {
+  const manifest = readManifestToken(manifest_token, event);
+  if (!manifest) return { error: 'This check-in list is not valid for this event — download it again', status: 400 };
+  if (!Array.isArray(scans)) return { error: 'Scans must be a list', status: 400 };
+  if (scans.length > MAX_SYNC_SCANS) return { error: `Sync at most ${MAX_SYNC_SCANS} scans at a time`, status: 400 };
+
+  const ordered = scans
+    .map((scan, index) => ({ scan: scan && typeof scan === 'object' ? scan : {}, index }))
+    .sort((a, b) => String(a.scan.scanned_at).localeCompare(String(b.scan.scanned_at)) || a.index - b.index);
+
+  const results = ordered.map(({ scan }) => syncScan(db, event, manifest, scan, { user, device }));
+  const summary = {};
+  results.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+  return { results, summary };
+}
+
+module.exports = { buildManifest, syncScans };
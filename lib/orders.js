@@ -0,0 +1,174 @@
+// Orders for paid tiers. A checkout holds a seat while the buyer pays; the
+// provider's webhook then either turns the order into an attendee with a
+// ticket or releases the seat. Cancelling a paid RSVP refunds its order.
+
+const { v4: uuidv4 } = require('uuid');
+const payments = require('./payments');
+const mailer = require('./mailer');
+const { issueTicket, findActiveAttendee } = require('./tickets');
+const { countTakenSpots, withSeatLock } = require('./capacity');
+const { countTierTaken } = require('./tiers');
+const { fillOpenSpots } = require('./waitlist');
+const { parseAnswers } = require('./questions');
+const { publish, describeAttendee } = require('./live');
+const { saveDb } = require('../db');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const HOLD_MINUTES = parseInt(process.env.ORDER_HOLD_MINUTES) || 30;
+
+function getEvent(db, eventId) {
+  const stmt = db.prepare('SELECT * FROM events WHERE id = ?');
+  stmt.bind([eventId]);
+  const event = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return event;
+}
+
+function getOrder(db, id) {
+  const stmt = db.prepare('SELECT * FROM orders WHERE id = ?');
+  stmt.bind([id]);
+  const order = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return order;
+}
+
+function findOrderByReference(db, provider, reference) {
+  const stmt = db.prepare('SELECT * FROM orders WHERE provider = ? AND provider_ref = ?');
+  stmt.bind([provider, reference]);
+  const order = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return order;
+}
+
+// Starts a checkout for one seat in a paid tier. Returns { id, checkout_url }.
+async function createOrder(db, { event, tier, name, email, answers = null }) {
+  const provider = payments.getProvider();
+  const id = uuidv4();
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000).toISOString();
+
+  db.run(
+    `INSERT INTO orders (id, event_id, tier_id, name, email, amount, currency, status, provider, expires_at, answers)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+    [id, event.id, tier.id, name, email, tier.price, tier.currency, provider.name, expiresAt, answers ? JSON.stringify(answers) : null]
+  );
+
+  try {
+    const checkout = await provider.createCheckout({
+      order: { id, amount: tier.price, currency: tier.currency, email },
+      description: `${event.title} — ${tier.name}`,
+      returnUrl: `${BASE_URL}/event/${event.slug}/register?order=${id}`
+    });
+    db.run('UPDATE orders SET provider_ref = ? WHERE id = ?', [checkout.reference, id]);
+    saveDb();
+    return { id, checkout_url: checkout.url };
+  } catch (err) {
+    db.run("UPDATE orders SET status = 'failed' WHERE id = ?", [id]);
+    saveDb();
+    throw err;
+  }
+}
+
+async function refundOrder(db, order) {
+  const provider = payments.getProvider(order.provider);
+  const refund = await provider.refund(order);
+  db.run(
+    "UPDATE orders SET status = 'refunded', refunded_at = ?, refund_ref = ? WHERE id = ?",
+    [new Date().toISOString(), refund.reference, order.id]
+  );
+  saveDb();
+  return { ...order, status: 'refunded', refund_ref: refund.reference };
+}
+
+// Payment confirmed: issue the ticket. Safe to call more than once. If the
+// hold lapsed and the seat has gone in the meantime, the payment is refunded.
+async function completeOrder(db, order) {
+  if (order.status === 'paid') return order;
+  if (order.status !== 'pending' && order.status !== 'expired') return order;
+
+  const event = getEvent(db, order.event_id);
+  if (!event || event.status !== 'published' || findActiveAttendee(db, order.event_id, order.email)) {
+    return refundOrder(db, order);
+  }
+
+  const stillHeld = order.status === 'pending' && new Date(order.expires_at) > new Date();
+  if (!stillHeld) {
+    const tierStmt = db.prepare('SELECT * FROM ticket_tiers WHERE id = ?');
+    tierStmt.bind([order.tier_id]);
+    const tier = tierStmt.step() ? tierStmt.getAsObject() : null;
+    tierStmt.free();
+
+    const seatGone = countTakenSpots(db, event.id) >= event.capacity ||
+      (tier && tier.capacity !== null && countTierTaken(db, tier.id) >= tier.capacity);
+    if (seatGone) return refundOrder(db, order);
+  }
+
+  const attendee = await issueTicket(db, event, {
+    name: order.name,
+    email: order.email,
+    tierId: order.tier_id,
+    orderId: order.id,
+    answers: parseAnswers(order.answers)
+  });
+  db.run(
+    "UPDATE orders SET status = 'paid', paid_at = ?, attendee_id = ? WHERE id = ?",
+    [new Date().toISOString(), attendee.id, order.id]
+  );
+  saveDb();
+  publish(db, event.id, 'registration', { attendee: describeAttendee(attendee), guests: 0 });
+
+  mailer.sendRsvpConfirmation(event, attendee);
+  return { ...order, status: 'paid', attendee_id: attendee.id };
+}
+
+// Payment declined or abandoned: release the held seat.
+function failOrder(db, order) {
+  if (order.status !== 'pending') return order;
+  db.run("UPDATE orders SET status = 'failed' WHERE id = ?", [order.id]);
+  saveDb();
+
+  const event = getEvent(db, order.event_id);
+  if (event) fillOpenSpots(db, event);
+  return { ...order, status: 'failed' };
+}
+
+// Applies a verified provider webhook. Returns the updated order, or null if
+// the reference doesn't match one of ours. Providers retry webhooks, so the
+// order is looked up under the seat lock to see any delivery that got there first.
+function handlePaymentEvent(db, providerName, { type, reference }) {
+  return withSeatLock(async () => {
+    const order = findOrderByReference(db, providerName, reference);
+    if (!order) return null;
+
+    if (type === 'payment.succeeded') return completeOrder(db, order);
+    if (type === 'payment.failed') return failOrder(db, order);
+    return order;
+  });
+}
+
+// Marks lapsed checkouts as expired and offers their seats to the waitlist.
+function expireOrders(db) {
+  const now = new Date().toISOString();
+  const stmt = db.prepare("SELECT DISTINCT event_id FROM orders WHERE status = 'pending' AND expires_at <= ?");
+  stmt.bind([now]);
+  const eventIds = [];
+  while (stmt.step()) eventIds.push(stmt.getAsObject().event_id);
+  stmt.free();
+
+  if (!eventIds.length) return;
+
+  db.run("UPDATE orders SET status = 'expired' WHERE status = 'pending' AND expires_at <= ?", [now]);
+  saveDb();
+
+  eventIds.forEach(eventId => {
+    const event = getEvent(db, eventId);
+    if (event) fillOpenSpots(db, event);
+  });
+}
+
+module.exports = {
+  getOrder,
+  createOrder,
+  refundOrder,
+  handlePaymentEvent,
+  expireOrders
+};
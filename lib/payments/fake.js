@@ -0,0 +1,43 @@
+// Local stand-in for a payment gateway. Checkout happens on our own
+// /checkout/fake/:reference page and "the gateway" reports back through the
+// same signed webhook a real provider would use, so the whole flow — checkout,
+// webhook confirmation and refunds — runs offline.
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const SECRET = process.env.FAKE_PAYMENT_SECRET || config.tokenSecret;
+
+function signature(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+async function createCheckout() {
+  const reference = `fake_${crypto.randomBytes(12).toString('hex')}`;
+  return { reference, url: `${BASE_URL}/checkout/fake/${reference}` };
+}
+
+// Builds the webhook request the fake gateway would send for a checkout.
+function simulate(reference, outcome) {
+  const body = JSON.stringify({
+    type: outcome === 'success' ? 'payment.succeeded' : 'payment.failed',
+    reference
+  });
+  return { body: JSON.parse(body), headers: { 'x-fake-signature': signature(body) } };
+}
+
+function parseWebhook(req) {
+  const given = req.headers['x-fake-signature'] || '';
+  const expected = signature(JSON.stringify(req.body));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+    throw new Error('Invalid webhook signature');
+  }
+  return { type: req.body.type, reference: req.body.reference };
+}
+
+async function refund(order) {
+  return { reference: `fake_refund_${order.provider_ref}` };
+}
+
+module.exports = { name: 'fake', createCheckout, simulate, parseWebhook, refund };
@@ -0,0 +1,24 @@
+// Payment provider registry. A provider is a module exporting:
+//
+//   name
+//   createCheckout({ order, description, returnUrl }) → Promise<{ reference, url }>
+//   parseWebhook(req) → { type: 'payment.succeeded' | 'payment.failed', reference }
+//                       (throws if the request can't be authenticated)
+//   refund(order)     → Promise<{ reference }>
+//
+// PAYMENT_PROVIDER picks the active one (see lib/config.js). The local fake
+// provider is only registered when it was picked outside production.
+
+const config = require('../config');
+
+const providers = {};
+if (config.fakePayments) providers.fake = require('./fake');
+
+function getProvider(name = config.paymentProvider) {
+  if (!name) throw new Error('No payment provider is configured');
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`);
+  return provider;
+}
+
+module.exports = { getProvider };
@@ -0,0 +1,75 @@
+// Per-event roles. The creator (events.user_id) is the owner; co-hosts and
+// check-in staff are active rows in event_members.
+
+const { getDb } = require('../db');
+
+const PERMISSIONS = {
+  owner: ['edit', 'delete', 'view_attendees', 'export', 'view_waitlist', 'checkin', 'approve', 'manage_invitations', 'message', 'manage_members'],
+  cohost: ['edit', 'view_attendees', 'export', 'view_waitlist', 'checkin', 'approve', 'manage_invitations', 'message'],
+  checkin: ['view_attendees', 'checkin']
+};
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  cohost: 'Co-host',
+  checkin: 'Check-in staff'
+};
+
+// The user's role on an event, or null if they have none.
+function getRole(db, event, user) {
+  if (!user) return null;
+  if (event.user_id && event.user_id === user.id) return 'owner';
+
+  const stmt = db.prepare("SELECT role FROM event_members WHERE event_id = ? AND user_id = ? AND status = 'active'");
+  stmt.bind([event.id, user.id]);
+  const role = stmt.step() ? stmt.getAsObject().role : null;
+  stmt.free();
+  return role;
+}
+
+function permissionsFor(role) {
+  return PERMISSIONS[role] || [];
+}
+
+function can(role, action) {
+  return permissionsFor(role).includes(action);
+}
+
+// Route middleware: loads the event named by :slug and checks the session
+// user may perform `action` on it. Sets req.event and req.eventRole.
+function requireEventPermission(action) {
+  return async (req, res, next) => {
+    try {
+      if (!req.session.user) {
+        return res.status(401).json({ error: 'Please log in to continue' });
+      }
+
+      const db = await getDb();
+      const stmt = db.prepare('SELECT * FROM events WHERE slug = ?');
+      stmt.bind([req.params.slug]);
+      const event = stmt.step() ? stmt.getAsObject() : null;
+      stmt.free();
+      if (!event) return res.status(404).json({ error: 'Event not found' });
+
+      const role = getRole(db, event, req.session.user);
+      if (!can(role, action)) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      req.event = event;
+      req.eventRole = role;
+      next();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+module.exports = {
+  ROLE_LABELS,
+  getRole,
+  permissionsFor,
+  can,
+  requireEventPermission
+};
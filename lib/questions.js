@@ -0,0 +1,121 @@
+// Custom registration questions. Each event keeps its questions as JSON in
+// events.questions; answers are stored per attendee (and on orders and
+// waitlist entries until they become attendees) keyed by question id.
+//
+// Question: { id, label, type: text | select | multi_select | checkbox, required, options }
+
+const crypto = require('crypto');
+
+const TYPES = ['text', 'select', 'multi_select', 'checkbox'];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 30;
+const MAX_ANSWER_LENGTH = 1000;
+
+function newQuestionId() {
+  return 'q_' + crypto.randomBytes(4).toString('hex');
+}
+
+// Validates questions posted from the create/edit forms.
+// Returns { questions } on success or { error } with a message for the host.
+function normalizeQuestions(input) {
+  if (!Array.isArray(input)) return { error: 'Registration questions must be a list' };
+  if (input.length > MAX_QUESTIONS) return { error: `Events can ask at most ${MAX_QUESTIONS} questions` };
+
+  const questions = [];
+  const ids = new Set();
+  for (let i = 0; i < input.length; i++) {
+    const raw = input[i] || {};
+    const label = String(raw.label || '').trim();
+    const type = raw.type || 'text';
+
+    if (!label) return { error: `Question ${i + 1} needs a label` };
+    if (label.length > 200) return { error: `"${label.slice(0, 40)}…" is too long` };
+    if (!TYPES.includes(type)) return { error: `"${label}" has an unknown type` };
+
+    let options = [];
+    if (type === 'select' || type === 'multi_select') {
+      options = (Array.isArray(raw.options) ? raw.options : [])
+        .map(o => String(o).trim())
+        .filter(Boolean);
+      options = [...new Set(options)];
+      if (!options.length) return { error: `"${label}" needs at least one option` };
+      if (options.length > MAX_OPTIONS) return { error: `"${label}" has too many options` };
+    }
+
+    // Keep ids of existing questions so stored answers still line up
+    let id = typeof raw.id === 'string' && /^q_[a-z0-9]+$/.test(raw.id) ? raw.id : newQuestionId();
+    if (ids.has(id)) id = newQuestionId();
+    ids.add(id);
+
+    questions.push({ id, label, type, required: !!raw.required, options });
+  }
+  return { questions };
+}
+
+function getQuestions(event) {
+  if (!event || !event.questions) return [];
+  try {
+    return JSON.parse(event.questions);
+  } catch {
+    return [];
+  }
+}
+
+function parseAnswers(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+// Checks registration answers against the event's questions.
+// Returns { answers } keeping only known questions, or { error }.
+function validateAnswers(questions, input) {
+  const given = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const answers = {};
+
+  for (const q of questions) {
+    const value = given[q.id];
+
+    if (q.type === 'checkbox') {
+      const checked = value === true || value === 'true' || value === 'on';
+      if (q.required && !checked) return { error: `Please confirm "${q.label}"` };
+      answers[q.id] = checked;
+      continue;
+    }
+
+    if (q.type === 'multi_select') {
+      const picked = (Array.isArray(value) ? value : value ? [value] : []).map(String);
+      if (picked.some(p => !q.options.includes(p))) return { error: `"${q.label}" has an invalid choice` };
+      if (q.required && !picked.length) return { error: `"${q.label}" is required` };
+      if (picked.length) answers[q.id] = [...new Set(picked)];
+      continue;
+    }
+
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (q.required && !text) return { error: `"${q.label}" is required` };
+    if (!text) continue;
+    if (q.type === 'select' && !q.options.includes(text)) return { error: `"${q.label}" has an invalid choice` };
+    if (text.length > MAX_ANSWER_LENGTH) return { error: `"${q.label}" is too long` };
+    answers[q.id] = text;
+  }
+
+  return { answers };
+}
+
+// Human-readable answer for lists and exports
+function formatAnswer(question, value) {
+  if (question.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join('; ');
+  return value === undefined || value === null ? '' : String(value);
+}
+
+module.exports = {
+  normalizeQuestions,
+  getQuestions,
+  parseAnswers,
+  validateAnswers,
+  formatAnswer
+};
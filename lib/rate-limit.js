@@ -0,0 +1,121 @@
+// Throttling for the auth endpoints, public registration and access codes, kept in memory.
+//
+// A sliding window allows `limit` hits per key over the last `windowMs`; the
+// key is usually the client's IP, sometimes an email address as well. A
+// lockout counts failures instead (wrong passwords): after `threshold` in a
+// row the key is locked for `baseMs`, doubling with every further failure up
+// to `maxMs`, until a success clears it.
+//
+// Limited requests get a 429 with a Retry-After header and
+// { error, retry_after } (seconds), which the pages show as is.
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const limiters = [];
+
+// "a minute", "5 minutes", "2 hours"
+function describeWait(seconds) {
+  if (seconds <= 60) return 'a minute';
+  if (seconds < 60 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  const hours = Math.ceil(seconds / 3600);
+  return hours === 1 ? 'an hour' : `${hours} hours`;
+}
+
+// { hit(key), reset(key) }. hit() records a request and returns 0, or the
+// seconds to wait when the key is over its limit (that request isn't counted).
+function slidingWindow({ limit, windowMs }) {
+  const hits = new Map();
+
+  const recent = (key, now) => (hits.get(key) || []).filter(t => t > now - windowMs);
+
+  const limiter = {
+    hit(key) {
+      const now = Date.now();
+      const times = recent(key, now);
+      if (times.length >= limit) {
+        hits.set(key, times);
+        return Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000));
+      }
+      times.push(now);
+      hits.set(key, times);
+      return 0;
+    },
+    reset(key) {
+      hits.delete(key);
+    },
+    prune(now) {
+      for (const key of hits.keys()) {
+        if (!recent(key, now).length) hits.delete(key);
+      }
+    }
+  };
+  limiters.push(limiter);
+  return limiter;
+}
+
+// { check(key), fail(key), succeed(key) }. check() returns 0, or the seconds
+// left on the key's lockout. Failures are forgotten `forgetMs` after the last one.
+function lockout({ threshold, baseMs, maxMs, forgetMs = 24 * 60 * 60 * 1000 }) {
+  const entries = new Map();
+
+  const limiter = {
+    check(key) {
+      const entry = entries.get(key);
+      const left = entry ? entry.lockedUntil - Date.now() : 0;
+      return left > 0 ? Math.ceil(left / 1000) : 0;
+    },
+    fail(key) {
+      const now = Date.now();
+      const entry = entries.get(key) || { failures: 0, lockedUntil: 0 };
+      entry.failures++;
+      entry.lastFailure = now;
+      if (entry.failures >= threshold) {
+        entry.lockedUntil = now + Math.min(maxMs, baseMs * 2 ** (entry.failures - threshold));
+      }
+      entries.set(key, entry);
+    },
+    succeed(key) {
+      entries.delete(key);
+    },
+    prune(now) {
+      for (const [key, entry] of entries) {
+        if (entry.lastFailure < now - forgetMs && entry.lockedUntil < now) entries.delete(key);
+      }
+    }
+  };
+  limiters.push(limiter);
+  return limiter;
+}
+
+function tooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: `${message} — try again in ${describeWait(retryAfter)}`, retry_after: retryAfter });
+}
+
+// Route middleware: one hit on each window for its key, e.g.
+//   limitRequests([[perIp, req => req.ip], [perEmail, req => req.body.email]], 'Too many sign-ups')
+// A key function returning nothing skips that window.
+function limitRequests(windows, message) {
+  return (req, res, next) => {
+    for (const [window, keyOf] of windows) {
+      const key = keyOf(req);
+      if (!key) continue;
+      const retryAfter = window.hit(String(key).toLowerCase());
+      if (retryAfter) return tooManyRequests(res, retryAfter, message);
+    }
+    next();
+  };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  limiters.forEach(limiter => limiter.prune(now));
+}, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  describeWait,
+  slidingWindow,
+  lockout,
+  tooManyRequests,
+  limitRequests
+};
@@ -0,0 +1,197 @@
+// Recurring event series. A series stores its rule; each occurrence is an
+// ordinary events row carrying the series id, so registration, check-in and
+// everything else keep working per date.
+//
+// Rules:
+//   { frequency: 'weekly',  interval: N }                  every N weeks on the first date's weekday
+//   { frequency: 'monthly', interval: N, week_of_month }   every N months on e.g. the 2nd Tuesday (-1 = last)
+// plus `until` (YYYY-MM-DD) and/or `count`, and `exceptions` (dates to skip).
+
+const MAX_OCCURRENCES = 104;
+const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ordinals = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are handled as UTC midnights so server time zone and DST never shift them.
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return null;
+  const d = new Date(value + 'T00:00:00Z');
+  return isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== value ? null : d;
+}
+
+function formatDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  const d = parseDate(value);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDate(d);
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+// nth (1-4, or -1 for last) given weekday of a month, or null if it doesn't exist
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+    return last;
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  const day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (nth - 1) * 7;
+  const d = new Date(Date.UTC(year, month, day));
+  return d.getUTCMonth() === month ? d : null;
+}
+
+// Validates a recurrence rule posted with a new event.
+// Returns { rule } on success or { error } with a message for the host.
+function normalizeRule(input, startDate) {
+  if (!input || typeof input !== 'object') return { error: 'Invalid recurrence rule' };
+
+  const start = parseDate(startDate);
+  if (!start) return { error: 'A recurring event needs a valid start date' };
+
+  const frequency = input.frequency;
+  if (frequency !== 'weekly' && frequency !== 'monthly') {
+    return { error: 'Recurrence must be weekly or monthly' };
+  }
+
+  const interval = input.interval === undefined || input.interval === '' ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return { error: 'Repeat interval must be a whole number between 1 and 12' };
+  }
+
+  let weekOfMonth = null;
+  if (frequency === 'monthly') {
+    weekOfMonth = input.week_of_month === undefined || input.week_of_month === null || input.week_of_month === ''
+      ? (start.getUTCDate() > 28 ? -1 : Math.ceil(start.getUTCDate() / 7))
+      : Number(input.week_of_month);
+    if (![1, 2, 3, 4, -1].includes(weekOfMonth)) {
+      return { error: 'Week of month must be 1–4, or -1 for the last week' };
+    }
+    const first = nthWeekdayOfMonth(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDay(), weekOfMonth);
+    if (!first || formatDate(first) !== startDate) {
+      return { error: `The start date isn't the ${ordinals[weekOfMonth]} ${weekdays[start.getUTCDay()]} of its month` };
+    }
+  }
+
+  const until = input.until || null;
+  if (until && (!parseDate(until) || until < startDate)) {
+    return { error: 'Repeat until must be a date on or after the first occurrence' };
+  }
+
+  const count = input.count === undefined || input.count === null || input.count === '' ? null : Number(input.count);
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return { error: `Number of occurrences must be between 1 and ${MAX_OCCURRENCES}` };
+  }
+  if (!until && !count) return { error: 'Choose an end date or a number of occurrences' };
+
+  const exceptions = Array.isArray(input.exceptions) ? input.exceptions : [];
+  for (const date of exceptions) {
+    if (!parseDate(date)) return { error: `"${date}" is not a valid exception date` };
+  }
+
+  return {
+    rule: {
+      frequency,
+      interval,
+      weekday: start.getUTCDay(),
+      week_of_month: weekOfMonth,
+      starts_on: startDate,
+      until,
+      count,
+      exceptions: [...new Set(exceptions)].sort()
+    }
+  };
+}
+
+// Occurrence dates for a rule, oldest first, with exceptions removed.
+// `count` counts scheduled slots, so skipping a date doesn't add one at the end.
+function expandRule(rule) {
+  const dates = [];
+  const skip = new Set(rule.exceptions || []);
+  const start = parseDate(rule.starts_on);
+  const limit = rule.count || MAX_OCCURRENCES;
+
+  for (let i = 0; i < limit; i++) {
+    let d;
+    if (rule.frequency === 'weekly') {
+      d = new Date(start);
+      d.setUTCDate(d.getUTCDate() + i * 7 * rule.interval);
+    } else {
+      const monthIndex = start.getUTCMonth() + i * rule.interval;
+      d = nthWeekdayOfMonth(start.getUTCFullYear() + Math.floor(monthIndex / 12), monthIndex % 12, rule.weekday, rule.week_of_month);
+      if (!d) continue;
+    }
+
+    const date = formatDate(d);
+    if (rule.until && date > rule.until) break;
+    if (!skip.has(date)) dates.push(date);
+  }
+  return dates;
+}
+
+// "Every 2 weeks on Tuesday", "Monthly on the last Friday"
+function describeRule(rule) {
+  const day = weekdays[rule.weekday];
+  if (rule.frequency === 'weekly') {
+    return rule.interval === 1 ? `Weekly on ${day}` : `Every ${rule.interval} weeks on ${day}`;
+  }
+  const on = `on the ${ordinals[rule.week_of_month]} ${day}`;
+  return rule.interval === 1 ? `Monthly ${on}` : `Every ${rule.interval} months ${on}`;
+}
+
+// Series rows keep exceptions as JSON text.
+function ruleFromRow(row) {
+  return { ...row, exceptions: row.exceptions ? JSON.parse(row.exceptions) : [] };
+}
+
+function getSeries(db, seriesId) {
+  const stmt = db.prepare('SELECT * FROM series WHERE id = ?');
+  stmt.bind([seriesId]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row ? ruleFromRow(row) : null;
+}
+
+// Occurrences of a series, oldest first. Pass `fromDate` to start there.
+function getOccurrences(db, seriesId, fromDate = null) {
+  const stmt = db.prepare(
+    fromDate
+      ? 'SELECT * FROM events WHERE series_id = ? AND date >= ? ORDER BY starts_at ASC'
+      : 'SELECT * FROM events WHERE series_id = ? ORDER BY starts_at ASC'
+  );
+  stmt.bind(fromDate ? [seriesId, fromDate] : [seriesId]);
+  const events = [];
+  while (stmt.step()) events.push(stmt.getAsObject());
+  stmt.free();
+  return events;
+}
+
+// Public summary of a series for event pages.
+function summarizeSeries(db, seriesId) {
+  const series = getSeries(db, seriesId);
+  if (!series) return null;
+  return {
+    id: series.id,
+    description: describeRule(series),
+    exceptions: series.exceptions,
+    occurrences: getOccurrences(db, series.id).map(e => ({ slug: e.slug, date: e.date, starts_at: e.starts_at, status: e.status }))
+  };
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  normalizeRule,
+  expandRule,
+  describeRule,
+  addDays,
+  daysBetween,
+  getSeries,
+  getOccurrences,
+  summarizeSeries
+};
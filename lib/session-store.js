@@ -0,0 +1,78 @@
+// An express-session store backed by the app's own database, so sessions
+// survive restarts. Each row holds the session as JSON and when it expires;
+// expired rows are ignored on read and deleted every PRUNE_INTERVAL_MS.
+//
+// express-session touches the session on every request to push its expiry
+// back. Writing that each time would rewrite the database file constantly, so
+// a touch is only saved once the stored expiry is TOUCH_AFTER_MS out of date.
+
+const session = require('express-session');
+const { getDb, saveDb } = require('../db');
+
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+const TOUCH_AFTER_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function expiresAt(sess) {
+  const expires = sess.cookie && sess.cookie.expires
+    ? new Date(sess.cookie.expires)
+    : new Date(Date.now() + DEFAULT_MAX_AGE_MS);
+  return expires.toISOString();
+}
+
+// Deletes expired sessions. Returns how many there were.
+function pruneSessions(db) {
+  db.run('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+  const pruned = db.getRowsModified();
+  if (pruned) saveDb();
+  return pruned;
+}
+
+class SqliteStore extends session.Store {
+  constructor() {
+    super();
+    this.pruner = setInterval(() => {
+      getDb().then(pruneSessions).catch(err => console.error(err));
+    }, PRUNE_INTERVAL_MS);
+    this.pruner.unref();
+  }
+
+  get(sid, callback) {
+    getDb().then(db => {
+      const stmt = db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?');
+      stmt.bind([sid, new Date().toISOString()]);
+      const row = stmt.step() ? stmt.getAsObject() : null;
+      stmt.free();
+      callback(null, row ? JSON.parse(row.sess) : null);
+    }).catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    getDb().then(db => {
+      db.run('INSERT OR REPLACE INTO sessions (sid, sess, expires_at) VALUES (?, ?, ?)',
+        [sid, JSON.stringify(sess), expiresAt(sess)]);
+      saveDb();
+      callback(null);
+    }).catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    getDb().then(db => {
+      const expires = expiresAt(sess);
+      const stale = new Date(new Date(expires).getTime() - TOUCH_AFTER_MS).toISOString();
+      db.run('UPDATE sessions SET expires_at = ? WHERE sid = ? AND expires_at < ?', [expires, sid, stale]);
+      if (db.getRowsModified()) saveDb();
+      callback(null);
+    }).catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    getDb().then(db => {
+      db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+      saveDb();
+      callback(null);
+    }).catch(callback);
+  }
+}
+
+module.exports = { SqliteStore, pruneSessions };
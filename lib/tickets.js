@@ -0,0 +1,104 @@
+// QR tickets and the attendee rows they belong to. Shared by every path that
+// issues a seat: free registration, waitlist claims and paid orders.
+
+const QRCode = require('qrcode');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const tokens = require('./tokens');
+const { clearCheckins } = require('./checkins');
+
+// The QR code carries only a signed { a: attendee id, e: event id } token, so
+// it can't be forged and doesn't leak the attendee's name or email.
+function signTicket(attendeeId, eventId) {
+  return tokens.sign({ a: attendeeId, e: eventId });
+}
+
+// Returns { attendeeId, eventId } for a genuine ticket token, otherwise null.
+function readTicket(token) {
+  const payload = tokens.verify(typeof token === 'string' ? token.trim() : token);
+  if (!payload || !payload.a || !payload.e) return null;
+  return { attendeeId: payload.a, eventId: payload.e };
+}
+
+function generateQrCode(ticketToken) {
+  return QRCode.toDataURL(ticketToken, { width: 300, margin: 2, color: { dark: '#000000', light: '#ffffff' } });
+}
+
+// Creates an attendee with a fresh QR ticket, re-activating a previously
+// cancelled registration for the same email if there is one. Guests (given a
+// registrantId) always get a new row. Pending registrations on approval-only
+// events get no ticket until approveTicket(). Callers handle duplicate and
+// capacity checks, saveDb() and the confirmation email.
+async function issueTicket(db, event, { name, email, tierId = null, orderId = null, answers = null, registrantId = null, approvalStatus = 'approved' }) {
+  const pending = approvalStatus !== 'approved';
+  const answersJson = answers ? JSON.stringify(answers) : null;
+  let cancelled = null;
+  if (!registrantId) {
+    const stmt = db.prepare('SELECT id, cancel_token FROM attendees WHERE event_id = ? AND email = ? AND cancelled = 1 AND registrant_id IS NULL');
+    stmt.bind([event.id, email]);
+    cancelled = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+  }
+
+  if (cancelled) {
+    const ticketToken = pending ? null : signTicket(cancelled.id, event.id);
+    const qrCode = pending ? null : await generateQrCode(ticketToken);
+    db.run(
+      'UPDATE attendees SET cancelled = 0, name = ?, qr_code = ?, ticket_token = ?, tier_id = ?, order_id = ?, answers = ?, approval_status = ? WHERE id = ?',
+      [name, qrCode, ticketToken, tierId, orderId, answersJson, approvalStatus, cancelled.id]
+    );
+    // The new ticket starts out not checked in, in the log as well
+    clearCheckins(db, event, cancelled.id, 'Ticket issued again after a cancellation');
+    return { id: cancelled.id, name, email, qr_code: qrCode, cancel_token: cancelled.cancel_token, approval_status: approvalStatus, reactivated: true };
+  }
+
+  const id = uuidv4();
+  const cancelToken = crypto.randomBytes(16).toString('hex');
+  const ticketToken = pending ? null : signTicket(id, event.id);
+  const qrCode = pending ? null : await generateQrCode(ticketToken);
+  db.run(
+    'INSERT INTO attendees (id, event_id, name, email, qr_code, ticket_token, cancel_token, tier_id, order_id, answers, registrant_id, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [id, event.id, name, email, qrCode, ticketToken, cancelToken, tierId, orderId, answersJson, registrantId, approvalStatus]
+  );
+  return { id, name, email, qr_code: qrCode, cancel_token: cancelToken, registrant_id: registrantId, approval_status: approvalStatus, reactivated: false };
+}
+
+// Issues the QR ticket for an approved registration
+async function approveTicket(db, attendee) {
+  const ticketToken = signTicket(attendee.id, attendee.event_id);
+  const qrCode = await generateQrCode(ticketToken);
+  db.run("UPDATE attendees SET approval_status = 'approved', qr_code = ?, ticket_token = ? WHERE id = ?", [qrCode, ticketToken, attendee.id]);
+  return { ...attendee, approval_status: 'approved', qr_code: qrCode, ticket_token: ticketToken };
+}
+
+// Registrants come first, so a guest sharing their email isn't mistaken for them
+function findActiveAttendee(db, eventId, email) {
+  const stmt = db.prepare('SELECT * FROM attendees WHERE event_id = ? AND email = ? AND cancelled = 0 ORDER BY registrant_id IS NOT NULL LIMIT 1');
+  stmt.bind([eventId, email]);
+  const attendee = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return attendee;
+}
+
+// Tickets issued before QR codes were signed carry plain JSON that check-in no
+// longer accepts, and tickets signed with a previous secret no longer verify.
+// Gives those attendees a fresh signed ticket in place. Registrations still
+// awaiting approval (or declined) have no ticket to replace.
+async function reissueLegacyTickets(db) {
+  const stmt = db.prepare("SELECT id, event_id, ticket_token FROM attendees WHERE approval_status = 'approved'");
+  const legacy = [];
+  while (stmt.step()) {
+    const attendee = stmt.getAsObject();
+    if (!readTicket(attendee.ticket_token)) legacy.push(attendee);
+  }
+  stmt.free();
+
+  for (const attendee of legacy) {
+    const ticketToken = signTicket(attendee.id, attendee.event_id);
+    const qrCode = await generateQrCode(ticketToken);
+    db.run('UPDATE attendees SET qr_code = ?, ticket_token = ? WHERE id = ?', [qrCode, ticketToken, attendee.id]);
+  }
+  return legacy.length;
+}
+
+module.exports = { readTicket, generateQrCode, issueTicket, approveTicket, findActiveAttendee, reissueLegacyTickets };
@@ -0,0 +1,188 @@
+// Ticket tiers: validation of host input, availability and the summary
+// (ticket_type / price / currency) kept on the events row for listings.
+
+const { v4: uuidv4 } = require('uuid');
+
+function isValidDateTime(value) {
+  return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+// Validates tiers posted from the create/edit forms.
+// Returns { tiers } on success or { error } with a message for the host.
+function normalizeTiers(input) {
+  if (!Array.isArray(input)) return { error: 'Ticket tiers must be a list' };
+
+  const tiers = [];
+  for (let i = 0; i < input.length; i++) {
+    const raw = input[i] || {};
+    const name = (raw.name || '').trim();
+    const price = raw.price === undefined || raw.price === '' ? 0 : Number(raw.price);
+    const currency = (raw.currency || 'USD').toString().trim().toUpperCase();
+    const capacity = raw.capacity === undefined || raw.capacity === null || raw.capacity === '' ? null : Number(raw.capacity);
+    const salesStart = raw.sales_start || null;
+    const salesEnd = raw.sales_end || null;
+
+    if (!name) return { error: `Ticket tier ${i + 1} needs a name` };
+    if (!isFinite(price) || price < 0) return { error: `"${name}" has an invalid price` };
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: `"${name}" has an invalid currency` };
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+      return { error: `"${name}" capacity must be a whole number of at least 1` };
+    }
+    if (salesStart && !isValidDateTime(salesStart)) return { error: `"${name}" has an invalid sales start` };
+    if (salesEnd && !isValidDateTime(salesEnd)) return { error: `"${name}" has an invalid sales end` };
+    if (salesStart && salesEnd && new Date(salesStart) >= new Date(salesEnd)) {
+      return { error: `"${name}" sales must end after they start` };
+    }
+
+    tiers.push({
+      id: raw.id || null,
+      name,
+      price: Math.round(price * 100) / 100,
+      currency,
+      capacity,
+      sales_start: salesStart ? new Date(salesStart).toISOString() : null,
+      sales_end: salesEnd ? new Date(salesEnd).toISOString() : null,
+      sort_order: i
+    });
+  }
+
+  return { tiers };
+}
+
+function getTiers(db, eventId) {
+  const stmt = db.prepare('SELECT * FROM ticket_tiers WHERE event_id = ? ORDER BY sort_order ASC, created_at ASC');
+  stmt.bind([eventId]);
+  const tiers = [];
+  while (stmt.step()) tiers.push(stmt.getAsObject());
+  stmt.free();
+  return tiers;
+}
+
+function getTier(db, eventId, tierId) {
+  const stmt = db.prepare('SELECT * FROM ticket_tiers WHERE id = ? AND event_id = ?');
+  stmt.bind([tierId, eventId]);
+  const tier = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return tier;
+}
+
+// Seats sold in a tier plus checkouts still holding one.
+function countTierTaken(db, tierId) {
+  const stmt = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM attendees WHERE tier_id = ? AND cancelled = 0 AND approval_status = 'approved') +
+      (SELECT COUNT(*) FROM orders WHERE tier_id = ? AND status = 'pending' AND expires_at > ?) AS taken
+  `);
+  stmt.bind([tierId, tierId, new Date().toISOString()]);
+  stmt.step();
+  const { taken } = stmt.getAsObject();
+  stmt.free();
+  return taken;
+}
+
+function isOnSale(tier, now = new Date()) {
+  if (tier.sales_start && now < new Date(tier.sales_start)) return false;
+  if (tier.sales_end && now > new Date(tier.sales_end)) return false;
+  return true;
+}
+
+// Resolves the tier a registrant picked. Events without tiers are free general
+// admission and resolve to { tier: null }; otherwise returns { tier } or { error }.
+function chooseTier(db, eventId, tierId) {
+  const tiers = getTiers(db, eventId);
+  if (!tiers.length) return { tier: null };
+
+  const tier = tierId ? tiers.find(t => t.id === tierId) : (tiers.length === 1 ? tiers[0] : null);
+  if (!tier) return { error: 'Please choose a ticket type' };
+  if (!isOnSale(tier)) return { error: `${tier.name} tickets are not on sale right now` };
+  return { tier };
+}
+
+// Public view of an event's tiers with remaining seats and sale state.
+function describeTiers(db, eventId) {
+  return getTiers(db, eventId).map(tier => ({
+    ...tier,
+    remaining: tier.capacity === null ? null : Math.max(0, tier.capacity - countTierTaken(db, tier.id)),
+    on_sale: isOnSale(tier)
+  }));
+}
+
+// Keeps events.ticket_type / price / currency in line with the tiers so list
+// views can show a price badge without loading tiers.
+function syncTicketSummary(db, eventId) {
+  const tiers = getTiers(db, eventId);
+  const paid = tiers.filter(t => t.price > 0);
+  const cheapest = paid.sort((a, b) => a.price - b.price)[0];
+  db.run(
+    'UPDATE events SET ticket_type = ?, price = ?, currency = ? WHERE id = ?',
+    [cheapest ? 'paid' : 'free', cheapest ? cheapest.price : 0, cheapest ? cheapest.currency : 'USD', eventId]
+  );
+}
+
+function insertTiers(db, eventId, tiers) {
+  tiers.forEach(tier => {
+    db.run(
+      `INSERT INTO ticket_tiers (id, event_id, name, price, currency, capacity, sales_start, sales_end, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), eventId, tier.name, tier.price, tier.currency, tier.capacity, tier.sales_start, tier.sales_end, tier.sort_order]
+    );
+  });
+  syncTicketSummary(db, eventId);
+}
+
+// Tiers that already have registrations can't be removed. Returns an error
+// message if the posted list would drop one, otherwise null.
+function findTierRemovalError(db, eventId, tiers) {
+  const keep = new Set(tiers.filter(t => t.id).map(t => t.id));
+
+  for (const tier of getTiers(db, eventId)) {
+    if (keep.has(tier.id)) continue;
+    const stmt = db.prepare('SELECT (SELECT COUNT(*) FROM attendees WHERE tier_id = ?) + (SELECT COUNT(*) FROM orders WHERE tier_id = ?) as count');
+    stmt.bind([tier.id, tier.id]);
+    stmt.step();
+    const { count } = stmt.getAsObject();
+    stmt.free();
+    if (count > 0) return `"${tier.name}" already has registrations and can't be removed`;
+  }
+  return null;
+}
+
+// Replaces an event's tiers with the posted list: matching ids are updated,
+// new rows inserted and missing ones removed. Returns an error message
+// (see findTierRemovalError) or null.
+function replaceTiers(db, eventId, tiers) {
+  const removalError = findTierRemovalError(db, eventId, tiers);
+  if (removalError) return removalError;
+
+  const existing = getTiers(db, eventId);
+  const keep = new Set(tiers.filter(t => t.id).map(t => t.id));
+
+  existing.filter(t => !keep.has(t.id)).forEach(t => db.run('DELETE FROM ticket_tiers WHERE id = ?', [t.id]));
+
+  tiers.forEach(tier => {
+    if (tier.id && existing.some(t => t.id === tier.id)) {
+      db.run(
+        'UPDATE ticket_tiers SET name = ?, price = ?, currency = ?, capacity = ?, sales_start = ?, sales_end = ?, sort_order = ? WHERE id = ?',
+        [tier.name, tier.price, tier.currency, tier.capacity, tier.sales_start, tier.sales_end, tier.sort_order, tier.id]
+      );
+    } else {
+      insertTiers(db, eventId, [tier]);
+    }
+  });
+
+  syncTicketSummary(db, eventId);
+  return null;
+}
+
+module.exports = {
+  normalizeTiers,
+  getTiers,
+  getTier,
+  countTierTaken,
+  isOnSale,
+  chooseTier,
+  describeTiers,
+  insertTiers,
+  findTierRemovalError,
+  replaceTiers
+};
@@ -0,0 +1,125 @@
+// Event times are entered as wall-clock values in the event's IANA time zone.
+// We keep those as typed (date, start_time, end_date, end_time, timezone) and
+// derive UTC instants (starts_at, ends_at) for sorting, feeds and comparisons.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(tz, instant) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(instant).forEach(p => { parts[p.type] = p.value; });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Wall-clock date + time in `tz` → Date. Times skipped by a DST jump resolve
+// forward; repeated times resolve to the first occurrence.
+function zonedToUtc(date, time, tz) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  // The offset either side of a transition gives up to two candidates
+  const candidates = [...new Set([-12, 12].map(h => {
+    const near = wall - h * 60 * 60 * 1000;
+    return wall - zoneOffset(tz, new Date(near));
+  }))].sort((a, b) => a - b);
+  const exact = candidates.filter(t => t + zoneOffset(tz, new Date(t)) === wall);
+  return new Date(exact.length ? exact[0] : candidates[candidates.length - 1]);
+}
+
+// Validates the schedule fields of an event. `end_date` is optional and
+// defaults to `date`; overnight or multi-day events must set it.
+// Returns { schedule } with derived UTC instants, or { error }.
+function normalizeSchedule({ date, start_time, end_date, end_time, timezone }) {
+  if (!DATE_RE.test(date || '') || isNaN(new Date(date + 'T00:00:00Z'))) return { error: 'Invalid date' };
+  if (!TIME_RE.test(start_time || '') || !TIME_RE.test(end_time || '')) return { error: 'Times must be in HH:MM format' };
+
+  const endDate = end_date || date;
+  if (!DATE_RE.test(endDate) || isNaN(new Date(endDate + 'T00:00:00Z'))) return { error: 'Invalid end date' };
+
+  const tz = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(tz)) return { error: `Unknown time zone "${timezone}"` };
+
+  const startsAt = zonedToUtc(date, start_time, tz);
+  const endsAt = zonedToUtc(endDate, end_time, tz);
+  if (endsAt <= startsAt) {
+    return { error: endDate === date ? 'End time must be after the start time (set an end date for events that run past midnight)' : 'The event must end after it starts' };
+  }
+
+  return {
+    schedule: {
+      date,
+      start_time,
+      end_date: endDate === date ? null : endDate,
+      end_time,
+      timezone: tz,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString()
+    }
+  };
+}
+
+// Fills in timezone and UTC instants for events saved before they existed
+function backfillEventTimes(db) {
+  const stmt = db.prepare('SELECT id, date, start_time, end_date, end_time, timezone FROM events WHERE starts_at IS NULL OR timezone IS NULL');
+  const rows = [];
+  while (stmt.step()) rows.push(stmt.getAsObject());
+  stmt.free();
+
+  let fixed = 0;
+  for (const row of rows) {
+    const tz = isValidTimeZone(row.timezone) ? row.timezone : DEFAULT_TIMEZONE;
+    const startsAt = zonedToUtc(row.date, row.start_time || '00:00', tz);
+    let endsAt = zonedToUtc(row.end_date || row.date, row.end_time || '23:59', tz);
+    // Legacy rows could end "before" they start when they ran past midnight
+    if (endsAt <= startsAt) endsAt = new Date(endsAt.getTime() + 24 * 60 * 60 * 1000);
+    db.run('UPDATE events SET timezone = ?, starts_at = ?, ends_at = ? WHERE id = ?',
+      [tz, startsAt.toISOString(), endsAt.toISOString(), row.id]);
+    fixed++;
+  }
+  return fixed;
+}
+
+// "Nov 3, 2026 · 6:00 PM – 7:00 PM EST" in the event's own zone
+function formatEventWhen(event) {
+  const tz = isValidTimeZone(event.timezone) ? event.timezone : DEFAULT_TIMEZONE;
+  const start = event.starts_at ? new Date(event.starts_at) : zonedToUtc(event.date, event.start_time, tz);
+  const end = event.ends_at ? new Date(event.ends_at) : zonedToUtc(event.end_date || event.date, event.end_time, tz);
+  const day = { timeZone: tz, month: 'short', day: 'numeric', year: 'numeric' };
+  const time = { timeZone: tz, hour: 'numeric', minute: '2-digit' };
+  const zone = new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'short' })
+    .formatToParts(start).find(p => p.type === 'timeZoneName').value;
+
+  const startDay = start.toLocaleDateString('en-US', day);
+  const endDay = end.toLocaleDateString('en-US', day);
+  const startTime = start.toLocaleTimeString('en-US', time);
+  const endTime = end.toLocaleTimeString('en-US', time);
+  return startDay === endDay
+    ? `${startDay} · ${startTime} – ${endTime} ${zone}`
+    : `${startDay} · ${startTime} – ${endDay} · ${endTime} ${zone}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedToUtc,
+  normalizeSchedule,
+  backfillEventTimes,
+  formatEventWhen
+};
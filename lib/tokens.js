@@ -0,0 +1,33 @@
+// Compact HMAC-signed tokens: base64url(JSON payload) + '.' + base64url(signature).
+// Payloads are readable by anyone holding the token, so never put secrets in them.
+
+const crypto = require('crypto');
+const config = require('./config');
+
+function hmac(data) {
+  return crypto.createHmac('sha256', config.tokenSecret).update(data).digest('base64url');
+}
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body)}`;
+}
+
+// Returns the payload, or null if the token is malformed, tampered with or
+// past its `exp` (milliseconds since epoch).
+function verify(token) {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let payload;
+  try { payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch { return null; }
+  if (payload && payload.exp && Date.now() > payload.exp) return null;
+  return payload;
+}
+
+module.exports = { sign, verify };
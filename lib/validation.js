@@ -0,0 +1,21 @@
+// Input checks shared by the routes and the importer
+
+// Something, an @, and a domain with a dot in it. Deliberately loose: the only
+// real test of an address is mailing it.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+function isValidEmail(email) {
+  const value = String(email || '').trim();
+  return value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value);
+}
+
+// Accent colors end up inside style attributes on pages and in emails, so
+// only a plain #rrggbb is accepted
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function isValidColor(color) {
+  return typeof color === 'string' && COLOR_PATTERN.test(color);
+}
+
+module.exports = { EMAIL_PATTERN, MAX_EMAIL_LENGTH, isValidEmail, COLOR_PATTERN, isValidColor };
@@ -0,0 +1,71 @@
+// Waitlist promotion. When a seat frees up the oldest waiting entry gets an
+// offer: a signed claim link that holds the seat until it expires, after which
+// the offer rolls over to the next person in line.
+
+const tokens = require('./tokens');
+const mailer = require('./mailer');
+const { countTakenSpots } = require('./capacity');
+const { saveDb } = require('../db');
+
+const CLAIM_HOURS = parseFloat(process.env.WAITLIST_CLAIM_HOURS) || 24;
+
+function offerSpot(db, event, entry) {
+  const expiresAt = new Date(Date.now() + CLAIM_HOURS * 60 * 60 * 1000);
+  const claimToken = tokens.sign({ w: entry.id, exp: expiresAt.getTime() });
+  const offeredAt = new Date().toISOString();
+
+  db.run(
+    "UPDATE waitlist SET status = 'offered', notified = 1, claim_token = ?, offered_at = ?, offer_expires_at = ? WHERE id = ?",
+    [claimToken, offeredAt, expiresAt.toISOString(), entry.id]
+  );
+
+  const offer = { ...entry, status: 'offered', claim_token: claimToken, offered_at: offeredAt, offer_expires_at: expiresAt.toISOString() };
+  mailer.sendWaitlistPromotion(event, offer);
+  return offer;
+}
+
+// Offers every free seat to the next people in line. Returns the new offers.
+function fillOpenSpots(db, event) {
+  if (event.status !== 'published') return [];
+
+  const offers = [];
+  let open = event.capacity - countTakenSpots(db, event.id);
+  while (open > 0) {
+    const stmt = db.prepare("SELECT * FROM waitlist WHERE event_id = ? AND status = 'waiting' ORDER BY created_at ASC LIMIT 1");
+    stmt.bind([event.id]);
+    if (!stmt.step()) { stmt.free(); break; }
+    const entry = stmt.getAsObject();
+    stmt.free();
+
+    offers.push(offerSpot(db, event, entry));
+    open--;
+  }
+
+  if (offers.length) saveDb();
+  return offers;
+}
+
+// Marks lapsed offers as expired and rolls their seats over to the next in line.
+function expireOffers(db) {
+  const now = new Date().toISOString();
+
+  const stmt = db.prepare("SELECT DISTINCT event_id FROM waitlist WHERE status = 'offered' AND offer_expires_at <= ?");
+  stmt.bind([now]);
+  const eventIds = [];
+  while (stmt.step()) eventIds.push(stmt.getAsObject().event_id);
+  stmt.free();
+
+  if (!eventIds.length) return;
+
+  db.run("UPDATE waitlist SET status = 'expired' WHERE status = 'offered' AND offer_expires_at <= ?", [now]);
+  saveDb();
+
+  eventIds.forEach(eventId => {
+    const eventStmt = db.prepare('SELECT * FROM events WHERE id = ?');
+    eventStmt.bind([eventId]);
+    if (eventStmt.step()) fillOpenSpots(db, eventStmt.getAsObject());
+    eventStmt.free();
+  });
+}
+
+module.exports = { CLAIM_HOURS, fillOpenSpots, expireOffers };
@@ -0,0 +1,65 @@
+// Inspect or apply schema migrations without starting the server.
+// The server applies pending migrations itself on startup; this is for
+// checking what it would do, or migrating step by step.
+//
+// Usage:
+//   node migrate.js status          what's applied and what's pending
+//   node migrate.js up [version]    apply pending migrations (up to version)
+//   node migrate.js backup          copy gather.db to a timestamped .bak
+
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const { DB_PATH, writeDbFile, backupDb } = require('./db');
+const { loadMigrations, migrationStatus, migrate } = require('./lib/migrations');
+
+async function openDb() {
+  const SQL = await initSqlJs();
+  return fs.existsSync(DB_PATH) ? new SQL.Database(fs.readFileSync(DB_PATH)) : new SQL.Database();
+}
+
+function printStatus(status) {
+  console.log(`Database: ${DB_PATH}${fs.existsSync(DB_PATH) ? '' : ' (not created yet)'}`);
+  console.log(`Schema version ${status.current} of ${status.latest}\n`);
+  status.applied.forEach(m => console.log(`  ✓ ${String(m.version).padStart(3, '0')} ${m.name}  (${m.applied_at})`));
+  status.pending.forEach(m => console.log(`  · ${String(m.version).padStart(3, '0')} ${m.name}  (pending)`));
+  if (!status.applied.length && !status.pending.length) console.log('  No migrations found');
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const migrations = loadMigrations();
+
+  if (command === 'status') {
+    printStatus(migrationStatus(await openDb(), migrations));
+  } else if (command === 'up') {
+    const target = arg === undefined ? Infinity : parseInt(arg, 10);
+    if (Number.isNaN(target)) throw new Error(`Not a version number: ${arg}`);
+
+    const db = await openDb();
+    const existed = fs.existsSync(DB_PATH);
+    const applied = migrate(db, {
+      target,
+      migrations,
+      beforeMigrating: ({ current }) => {
+        if (existed) console.log(`Backed up the database to ${backupDb(`v${current}`)}`);
+      }
+    });
+    if (!applied.length) {
+      console.log('Nothing to migrate');
+    } else {
+      writeDbFile(db);
+      applied.forEach(m => console.log(`Applied ${String(m.version).padStart(3, '0')} ${m.name}`));
+    }
+    printStatus(migrationStatus(db, migrations));
+  } else if (command === 'backup') {
+    if (!fs.existsSync(DB_PATH)) throw new Error(`There's no database at ${DB_PATH} yet`);
+    console.log(`Backed up the database to ${backupDb()}`);
+  } else {
+    throw new Error(`Unknown command "${command}" — use status, up or backup`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,11 @@
+// Waitlist entries move through waiting → offered → claimed, with a claim link
+// that expires
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'waitlist', 'status', "TEXT DEFAULT 'waiting'");
+    addColumn(db, 'waitlist', 'claim_token', 'TEXT');
+    addColumn(db, 'waitlist', 'offered_at', 'TEXT');
+    addColumn(db, 'waitlist', 'offer_expires_at', 'TEXT');
+    addColumn(db, 'waitlist', 'attendee_id', 'TEXT');
+  }
+};
@@ -0,0 +1,47 @@
+// Paid ticket tiers and the orders that pay for them
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'currency', "TEXT NOT NULL DEFAULT 'USD'");
+    addColumn(db, 'attendees', 'tier_id', 'TEXT');
+    addColumn(db, 'attendees', 'order_id', 'TEXT');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS ticket_tiers (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        price REAL NOT NULL DEFAULT 0,
+        currency TEXT NOT NULL DEFAULT 'USD',
+        capacity INTEGER,
+        sales_start TEXT,
+        sales_end TEXT,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        tier_id TEXT NOT NULL,
+        attendee_id TEXT,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        amount REAL NOT NULL,
+        currency TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        provider TEXT NOT NULL,
+        provider_ref TEXT,
+        refund_ref TEXT,
+        expires_at TEXT,
+        paid_at TEXT,
+        refunded_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (event_id) REFERENCES events(id),
+        FOREIGN KEY (tier_id) REFERENCES ticket_tiers(id)
+      )
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+// Co-hosts and check-in staff
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS event_members (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        user_id TEXT,
+        email TEXT NOT NULL,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'invited',
+        invite_token TEXT,
+        invited_by TEXT,
+        accepted_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (event_id) REFERENCES events(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+  }
+};
@@ -0,0 +1,6 @@
+// The signed payload in each attendee's QR code
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'attendees', 'ticket_token', 'TEXT');
+  }
+};
@@ -0,0 +1,22 @@
+// Recurring events: a series rule and the occurrences made from it
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'series_id', 'TEXT');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS series (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        frequency TEXT NOT NULL,
+        interval INTEGER NOT NULL DEFAULT 1,
+        weekday INTEGER NOT NULL,
+        week_of_month INTEGER,
+        starts_on TEXT NOT NULL,
+        until TEXT,
+        count INTEGER,
+        exceptions TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+  }
+};
@@ -0,0 +1,7 @@
+// .ics update numbering and per-user calendar feed tokens
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'calendar_sequence', 'INTEGER DEFAULT 0');
+    addColumn(db, 'users', 'calendar_token', 'TEXT');
+  }
+};
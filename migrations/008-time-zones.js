@@ -0,0 +1,10 @@
+// Each event's time zone, its end date and its start and end as UTC instants.
+// Existing events are filled in by backfillEventTimes() at startup.
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'end_date', 'TEXT');
+    addColumn(db, 'events', 'timezone', 'TEXT');
+    addColumn(db, 'events', 'starts_at', 'TEXT');
+    addColumn(db, 'events', 'ends_at', 'TEXT');
+  }
+};
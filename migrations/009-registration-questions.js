@@ -0,0 +1,9 @@
+// Per-event registration questions and everyone's answers
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'questions', 'TEXT');
+    addColumn(db, 'attendees', 'answers', 'TEXT');
+    addColumn(db, 'waitlist', 'answers', 'TEXT');
+    addColumn(db, 'orders', 'answers', 'TEXT');
+  }
+};
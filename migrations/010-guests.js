@@ -0,0 +1,7 @@
+// Plus-ones: how many an event allows and whose guest each attendee is
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'max_guests', 'INTEGER DEFAULT 0');
+    addColumn(db, 'attendees', 'registrant_id', 'TEXT');
+  }
+};
@@ -0,0 +1,7 @@
+// Events where the host approves each registration
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'requires_approval', 'INTEGER DEFAULT 0');
+    addColumn(db, 'attendees', 'approval_status', "TEXT DEFAULT 'approved'");
+  }
+};
@@ -0,0 +1,25 @@
+// Unlisted and private events, access codes and personal invitation links
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'events', 'visibility', "TEXT DEFAULT 'public'");
+    addColumn(db, 'events', 'access_code', 'TEXT');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS event_invitations (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        name TEXT,
+        email TEXT,
+        token TEXT UNIQUE NOT NULL,
+        created_by TEXT,
+        revoked INTEGER DEFAULT 0,
+        use_count INTEGER DEFAULT 0,
+        first_used_at TEXT,
+        last_used_at TEXT,
+        attendee_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+  }
+};
@@ -0,0 +1,24 @@
+// Every check-in, undo and rejected scan. Check-ins from before the log are
+// added by backfillCheckinLog() at startup.
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS checkin_log (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        attendee_id TEXT,
+        session TEXT,
+        outcome TEXT NOT NULL,
+        method TEXT,
+        user_id TEXT,
+        device TEXT,
+        reason TEXT,
+        undoes TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_checkin_log_event ON checkin_log (event_id, created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_checkin_log_attendee ON checkin_log (attendee_id)');
+  }
+};
@@ -0,0 +1,8 @@
+// Scans made offline are synced later; client_id makes a repeated sync harmless
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'checkin_log', 'client_id', 'TEXT');
+    addColumn(db, 'checkin_log', 'synced_at', 'TEXT');
+    db.run('CREATE INDEX IF NOT EXISTS idx_checkin_log_client ON checkin_log (event_id, client_id)');
+  }
+};
@@ -0,0 +1,48 @@
+// Hosts' messages to their guests, each recipient's delivery and who has
+// unsubscribed
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS event_messages (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        sender_id TEXT,
+        segment TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        essential INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'sending',
+        recipient_count INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        completed_at TEXT,
+        FOREIGN KEY (event_id) REFERENCES events(id)
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_event_messages_event ON event_messages (event_id, created_at)');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS message_recipients (
+        id TEXT PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        name TEXT,
+        email TEXT NOT NULL,
+        attendee_id TEXT,
+        waitlist_id TEXT,
+        status TEXT DEFAULT 'queued',
+        error TEXT,
+        sent_at TEXT,
+        FOREIGN KEY (message_id) REFERENCES event_messages(id)
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_message_recipients_message ON message_recipients (message_id)');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS email_unsubscribes (
+        event_id TEXT NOT NULL,
+        email TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (event_id, email)
+      )
+    `);
+  }
+};
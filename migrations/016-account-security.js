@@ -0,0 +1,21 @@
+// Email verification, password reset links and signing out other sessions
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn(db, 'users', 'email_verified_at', 'TEXT');
+    addColumn(db, 'users', 'session_version', 'INTEGER DEFAULT 0');
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        purpose TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+  }
+};
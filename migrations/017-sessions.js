@@ -0,0 +1,13 @@
+// Login sessions, so a restart doesn't log everyone out
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires_at)');
+  }
+};
@@ -20,6 +20,7 @@ async function updateNav() {
     nav.innerHTML = `
       <a href="/my-events" class="btn btn-ghost btn-sm">My Events</a>
       <a href="/create" class="btn btn-outline btn-sm">Create Event</a>
+      <a href="/account" class="btn btn-ghost btn-sm">Account</a>
       <div style="position: relative; display: inline-block;">
         <button class="btn btn-ghost btn-sm" id="user-menu-btn" style="display: flex; align-items: center; gap: 6px;">
           <span style="width: 28px; height: 28px; border-radius: 50%; background: var(--accent-bg); color: var(--accent); display: flex; align-items: center; justify-content: center; font-weight: 700; font-size: 0.75rem;">${user.name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2)}</span>
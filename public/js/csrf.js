@@ -0,0 +1,22 @@
+// Adds the CSRF token from the gather.csrf cookie to every same-origin request
+// that changes something. Load it before any script that calls the API.
+(function () {
+  const originalFetch = window.fetch;
+
+  function csrfToken() {
+    const pair = document.cookie.split(';').map(p => p.trim()).find(p => p.startsWith('gather.csrf='));
+    return pair ? decodeURIComponent(pair.slice('gather.csrf='.length)) : '';
+  }
+
+  window.fetch = function (input, init = {}) {
+    const method = (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+    if (['GET', 'HEAD', 'OPTIONS'].includes(method) || url.origin !== window.location.origin) {
+      return originalFetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    headers.set('X-CSRF-Token', csrfToken());
+    return originalFetch(input, { ...init, headers });
+  };
+})();
@@ -0,0 +1,82 @@
+// Event time formatting shared by the event, browse, register and confirmation pages.
+// Events are shown in their own time zone; viewers elsewhere also get their local time.
+// Usage: eventDateParts(event), formatEventRange(event), formatViewerRange(event)
+
+function eventTimeZone(event) {
+  return event.timezone || 'UTC';
+}
+
+function viewerTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// { weekday: 'Tuesday', month: 'November', shortMonth: 'Nov', day: 3, year: 2026 } in the event's zone
+function eventDateParts(event) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: eventTimeZone(event), weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+    .formatToParts(new Date(event.starts_at))
+    .forEach(p => { parts[p.type] = p.value; });
+  return {
+    weekday: parts.weekday,
+    month: parts.month,
+    shortMonth: parts.month.slice(0, 3),
+    day: parseInt(parts.day),
+    year: parseInt(parts.year)
+  };
+}
+
+function zoneName(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date).find(p => p.type === 'timeZoneName').value;
+}
+
+// "Nov 3, 2026 · 6:00 PM – 7:00 PM EST", or both dates when it spans days
+function formatRange(event, timeZone, { withDate = true } = {}) {
+  const start = new Date(event.starts_at);
+  const end = new Date(event.ends_at);
+  const day = { timeZone, month: 'short', day: 'numeric', year: 'numeric' };
+  const time = { timeZone, hour: 'numeric', minute: '2-digit' };
+  const startDay = start.toLocaleDateString('en-US', day);
+  const endDay = end.toLocaleDateString('en-US', day);
+  const startTime = start.toLocaleTimeString('en-US', time);
+  const endTime = end.toLocaleTimeString('en-US', time);
+  const zone = zoneName(start, timeZone);
+
+  if (startDay !== endDay) return `${startDay} · ${startTime} – ${endDay} · ${endTime} ${zone}`;
+  return withDate ? `${startDay} · ${startTime} – ${endTime} ${zone}` : `${startTime} – ${endTime} ${zone}`;
+}
+
+function formatEventRange(event, options) {
+  return formatRange(event, eventTimeZone(event), options);
+}
+
+// The same range in the viewer's zone, or null when it reads the same as the event's
+function formatViewerRange(event, options) {
+  const viewer = viewerTimeZone();
+  const start = new Date(event.starts_at);
+  const offset = tz => start.toLocaleString('en-US', { timeZone: tz });
+  if (offset(viewer) === offset(eventTimeZone(event))) return null;
+  return formatRange(event, viewer, options);
+}
+
+// "6:00 PM EST" — start time only, in the event's zone
+function formatEventStart(event) {
+  const start = new Date(event.starts_at);
+  const timeZone = eventTimeZone(event);
+  return `${start.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })} ${zoneName(start, timeZone)}`;
+}
+
+// "20261103T230000Z/20261104T000000Z" for Google Calendar's dates= parameter
+function googleCalendarDates(event) {
+  const utc = iso => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `${utc(event.starts_at)}/${utc(event.ends_at)}`;
+}
+
+// Fills a <select> with IANA zones, preselecting `selected` (or the browser's zone)
+function fillTimeZoneSelect(select, selected) {
+  const current = selected || viewerTimeZone();
+  const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+  if (!zones.includes(current)) zones.unshift(current);
+  if (!zones.includes('UTC')) zones.push('UTC');
+  select.innerHTML = zones.map(z => `<option value="${z}" ${z === current ? 'selected' : ''}>${z.replace(/_/g, ' ')}</option>`).join('');
+}
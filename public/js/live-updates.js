@@ -0,0 +1,25 @@
+// Live updates for an event's dashboard and check-in page, over the server's
+// Server-Sent Events stream. onUpdate(type, data) is called for every change
+// (registration, cancellation, review, waitlist, checkin, event); every
+// message has the event's current counts in data.counts.
+// After a dropped connection comes back, onUpdate('reconnected', data) asks
+// the page to reload, since updates may have been missed in between.
+// Usage: const live = subscribeToEvent(slug, (type, data) => { ... }); live.close()
+
+function subscribeToEvent(slug, onUpdate) {
+  if (!window.EventSource) return { close() {} };
+
+  const source = new EventSource(`/api/events/${slug}/live`);
+  let connected = false;
+
+  source.addEventListener('ready', e => {
+    if (connected) onUpdate('reconnected', JSON.parse(e.data));
+    connected = true;
+  });
+
+  ['registration', 'cancellation', 'review', 'waitlist', 'checkin', 'event'].forEach(type => {
+    source.addEventListener(type, e => onUpdate(type, JSON.parse(e.data)));
+  });
+
+  return { close: () => source.close() };
+}
@@ -0,0 +1,129 @@
+// Offline check-in for the check-in page. Keeps the event's ticket list (the
+// manifest) and a queue of scans in localStorage, so scanning carries on when
+// the connection drops and the queue is synced once it's back.
+// Usage: const station = createOfflineStation(slug, getDeviceName); await station.refresh(); await station.checkInQr(qrData)
+
+function createOfflineStation(slug, getDeviceName) {
+  const manifestKey = `gather-manifest-${slug}`;
+  const queueKey = `gather-checkin-queue-${slug}`;
+
+  function read(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  let manifest = read(manifestKey, null);
+  let queue = read(queueKey, []);
+  let syncing = false;
+
+  function save() {
+    localStorage.setItem(manifestKey, JSON.stringify(manifest));
+    localStorage.setItem(queueKey, JSON.stringify(queue));
+  }
+
+  // Same hash the server puts in the manifest (SHA-256 of the QR token, hex)
+  async function hashTicket(qrData) {
+    const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(qrData.trim()));
+    return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function newScanId() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // Downloads a fresh manifest. Scans still in the queue stay checked in locally.
+  async function refresh() {
+    const res = await fetch(`/api/events/${slug}/checkin/manifest`);
+    if (!res.ok) throw new Error((await res.json()).error || 'Could not download the check-in list');
+    manifest = await res.json();
+    const queued = new Set(queue.map(s => s.attendee_id));
+    manifest.tickets.forEach(t => { if (queued.has(t.attendee_id)) t.checked_in = true; });
+    save();
+    return manifest;
+  }
+
+  // Checks a ticket in against the manifest. Returns { ok, ticket, error, alreadyCheckedIn }.
+  function record(ticket, scan) {
+    if (!ticket) return { ok: false, error: 'This ticket is not on the check-in list' };
+    if (!ticket.valid) return { ok: false, ticket, error: ticket.problem };
+    if (ticket.checked_in) return { ok: true, ticket, alreadyCheckedIn: true };
+
+    ticket.checked_in = true;
+    queue.push({ id: newScanId(), attendee_id: ticket.attendee_id, scanned_at: new Date().toISOString(), ...scan });
+    save();
+    return { ok: true, ticket, alreadyCheckedIn: false };
+  }
+
+  async function checkInQr(qrData) {
+    if (!manifest) return { ok: false, error: 'No check-in list on this device yet — connect once to download it' };
+    const hash = await hashTicket(qrData);
+    return record(manifest.tickets.find(t => t.hash === hash), { qrData: qrData.trim() });
+  }
+
+  function checkInAttendee(attendeeId) {
+    if (!manifest) return { ok: false, error: 'No check-in list on this device yet — connect once to download it' };
+    return record(manifest.tickets.find(t => t.attendee_id === attendeeId), {});
+  }
+
+  // Undoes a check-in that hasn't been synced yet. Returns false if it already was.
+  function undo(attendeeId) {
+    const queued = queue.findIndex(s => s.attendee_id === attendeeId);
+    if (queued < 0) return false;
+    queue.splice(queued, 1);
+    markCheckedIn(attendeeId, false);
+    return true;
+  }
+
+  // Keeps the local list in step with check-ins made while online
+  function markCheckedIn(attendeeId, checkedIn) {
+    const ticket = manifest && manifest.tickets.find(t => t.attendee_id === attendeeId);
+    if (ticket) ticket.checked_in = checkedIn;
+    save();
+  }
+
+  function search(query) {
+    if (!manifest) return [];
+    const q = query.toLowerCase();
+    return manifest.tickets.filter(t => t.name.toLowerCase().includes(q) || t.email.toLowerCase().includes(q));
+  }
+
+  // Sends the queue to the server. Scans it has recorded leave the queue;
+  // returns the server's results so conflicts can be shown.
+  async function sync() {
+    if (syncing || !queue.length || !manifest) return null;
+    syncing = true;
+    try {
+      const batch = queue.slice(0, 500);
+      const res = await fetch(`/api/events/${slug}/checkin/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ manifest_token: manifest.manifest_token, device: getDeviceName(), scans: batch })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Sync failed');
+
+      const done = new Set(data.results.map(r => r.id));
+      queue = queue.filter(s => !done.has(s.id));
+      save();
+      return data;
+    } finally {
+      syncing = false;
+    }
+  }
+
+  return {
+    refresh,
+    checkInQr,
+    checkInAttendee,
+    undo,
+    markCheckedIn,
+    search,
+    sync,
+    pendingCount: () => queue.length,
+    manifest: () => manifest
+  };
+}
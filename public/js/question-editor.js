@@ -0,0 +1,137 @@
+// Registration question editor shared by the create and edit pages.
+// Usage: const editor = createQuestionEditor(containerEl, existingQuestions); editor.getQuestions()
+
+function createQuestionEditor(container, initialQuestions) {
+  const types = [
+    { value: 'text', label: 'Short answer' },
+    { value: 'select', label: 'Dropdown' },
+    { value: 'multi_select', label: 'Multiple choice' },
+    { value: 'checkbox', label: 'Checkbox' }
+  ];
+  let questions = (initialQuestions || []).map(q => ({ ...q, options: (q.options || []).join(', ') }));
+
+  function escapeAttr(s) {
+    return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  function render() {
+    container.innerHTML = questions.map((q, i) => `
+      <div class="question-row" data-index="${i}" style="border: 1.5px solid #e5e7eb; border-radius: 10px; padding: 0.85rem; margin-bottom: 0.75rem;">
+        <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 0.5rem;">
+          <input type="text" class="form-input" data-field="label" placeholder="${q.type === 'checkbox' ? 'e.g. I agree to be photographed' : 'Question, e.g. Dietary needs'}" value="${escapeAttr(q.label)}">
+          <select class="form-input" data-field="type">
+            ${types.map(t => `<option value="${t.value}" ${t.value === q.type ? 'selected' : ''}>${t.label}</option>`).join('')}
+          </select>
+        </div>
+        ${q.type === 'select' || q.type === 'multi_select' ? `
+          <input type="text" class="form-input" data-field="options" placeholder="Options, separated by commas" value="${escapeAttr(q.options)}" style="margin-top: 0.5rem;">
+        ` : ''}
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 0.5rem;">
+          <label style="display: flex; align-items: center; gap: 0.4rem; font-size: 0.85rem; color: #4b5563;">
+            <input type="checkbox" data-field="required" ${q.required ? 'checked' : ''}> Required
+          </label>
+          <button type="button" class="question-remove" style="border: none; background: none; color: #dc2626; cursor: pointer; font-size: 0.85rem;">Remove</button>
+        </div>
+      </div>
+    `).join('') + `
+      <button type="button" class="question-add" style="border: 1.5px dashed #d1d5db; background: none; border-radius: 8px; padding: 0.5rem 0.9rem; cursor: pointer; font-size: 0.85rem; color: #4b5563;">+ Add question</button>
+      <p class="form-hint" style="margin-top: 0.5rem;">Name and email are always asked. A required checkbox must be ticked to register.</p>
+    `;
+
+    container.querySelectorAll('.question-row').forEach(row => {
+      const q = questions[row.dataset.index];
+      row.querySelectorAll('[data-field]').forEach(input => {
+        const update = () => {
+          q[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+        };
+        input.addEventListener('input', update);
+        input.addEventListener('change', () => {
+          update();
+          // Switching type shows or hides the options field
+          if (input.dataset.field === 'type') render();
+        });
+      });
+      row.querySelector('.question-remove').addEventListener('click', () => {
+        questions.splice(row.dataset.index, 1);
+        render();
+      });
+    });
+
+    container.querySelector('.question-add').addEventListener('click', () => {
+      questions.push({ label: '', type: 'text', required: false, options: '' });
+      render();
+    });
+  }
+
+  render();
+
+  return {
+    getQuestions() {
+      return questions.map(q => ({
+        id: q.id || undefined,
+        label: (q.label || '').trim(),
+        type: q.type,
+        required: !!q.required,
+        options: q.type === 'select' || q.type === 'multi_select'
+          ? String(q.options || '').split(',').map(o => o.trim()).filter(Boolean)
+          : []
+      }));
+    }
+  };
+}
+
+// Form fields for an event's questions on the register and claim pages.
+// Usage: renderQuestionFields(containerEl, questions, existingAnswers); readQuestionAnswers(containerEl, questions)
+function renderQuestionFields(container, questions, answers) {
+  const given = answers || {};
+  const escape = s => String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  container.innerHTML = (questions || []).map(q => {
+    const star = q.required ? ' *' : '';
+    if (q.type === 'checkbox') {
+      return `
+        <div class="form-group">
+          <label style="display:flex;align-items:flex-start;gap:8px;font-size:0.875rem;">
+            <input type="checkbox" data-question="${q.id}" ${given[q.id] ? 'checked' : ''} ${q.required ? 'required' : ''}> <span>${escape(q.label)}${star}</span>
+          </label>
+        </div>`;
+    }
+    if (q.type === 'select') {
+      return `
+        <div class="form-group">
+          <label class="form-label">${escape(q.label)}${star}</label>
+          <select class="form-input" data-question="${q.id}" ${q.required ? 'required' : ''}>
+            <option value="">Choose…</option>
+            ${q.options.map(o => `<option value="${escape(o)}" ${given[q.id] === o ? 'selected' : ''}>${escape(o)}</option>`).join('')}
+          </select>
+        </div>`;
+    }
+    if (q.type === 'multi_select') {
+      const picked = given[q.id] || [];
+      return `
+        <div class="form-group" data-question="${q.id}">
+          <label class="form-label">${escape(q.label)}${star}</label>
+          ${q.options.map(o => `
+            <label style="display:flex;align-items:center;gap:8px;font-size:0.875rem;margin-bottom:4px;">
+              <input type="checkbox" value="${escape(o)}" ${picked.includes(o) ? 'checked' : ''}> ${escape(o)}
+            </label>`).join('')}
+        </div>`;
+    }
+    return `
+      <div class="form-group">
+        <label class="form-label">${escape(q.label)}${star}</label>
+        <input type="text" class="form-input" data-question="${q.id}" value="${escape(given[q.id])}" maxlength="1000" ${q.required ? 'required' : ''}>
+      </div>`;
+  }).join('');
+}
+
+function readQuestionAnswers(container, questions) {
+  const answers = {};
+  (questions || []).forEach(q => {
+    const el = container.querySelector(`[data-question="${q.id}"]`);
+    if (!el) return;
+    if (q.type === 'checkbox') answers[q.id] = el.checked;
+    else if (q.type === 'multi_select') answers[q.id] = [...el.querySelectorAll('input:checked')].map(i => i.value);
+    else answers[q.id] = el.value;
+  });
+  return answers;
+}
@@ -0,0 +1,33 @@
+// Shared handling for 429 responses. The server says how long to wait in
+// retry_after; the button stays disabled until then, counting down.
+
+// An Error carrying the response's message and, when limited, its retry_after
+async function responseError(res, fallback) {
+  const data = await res.json().catch(() => ({}));
+  const err = new Error(data.error || fallback);
+  err.retryAfter = res.status === 429 ? data.retry_after || parseInt(res.headers.get('Retry-After'), 10) || 60 : 0;
+  return err;
+}
+
+function holdUntilRetry(btn, seconds, label) {
+  const until = Date.now() + seconds * 1000;
+  btn.disabled = true;
+  const tick = () => {
+    const left = Math.ceil((until - Date.now()) / 1000);
+    if (left <= 0) {
+      btn.disabled = false;
+      btn.textContent = label;
+      return;
+    }
+    btn.textContent = left > 90 ? `Try again in ${Math.ceil(left / 60)} min` : `Try again in ${left}s`;
+    setTimeout(tick, 1000);
+  };
+  tick();
+}
+
+// Puts a submit button back after a failed request, or holds it if rate limited
+function resetButton(btn, err, label) {
+  if (err.retryAfter) return holdUntilRetry(btn, err.retryAfter, label);
+  btn.disabled = false;
+  btn.textContent = label;
+}
@@ -0,0 +1,77 @@
+// Ticket tier editor shared by the create and edit pages.
+// Usage: const editor = createTierEditor(containerEl, existingTiers); editor.getTiers()
+
+function createTierEditor(container, initialTiers) {
+  const currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'JPY'];
+  let tiers = (initialTiers && initialTiers.length)
+    ? initialTiers.map(t => ({ ...t }))
+    : [{ name: 'General Admission', price: 0, currency: 'USD', capacity: null, sales_start: null, sales_end: null }];
+
+  // ISO timestamp → value for <input type="datetime-local"> in the browser's zone
+  function toLocalInput(iso) {
+    if (!iso) return '';
+    const d = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  function escapeAttr(s) {
+    return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  function render() {
+    container.innerHTML = tiers.map((tier, i) => `
+      <div class="tier-row" data-index="${i}" style="border: 1.5px solid #e5e7eb; border-radius: 10px; padding: 0.85rem; margin-bottom: 0.75rem;">
+        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr; gap: 0.5rem;">
+          <input type="text" class="form-input" data-field="name" placeholder="Ticket name" value="${escapeAttr(tier.name)}">
+          <input type="number" class="form-input" data-field="price" placeholder="Price" min="0" step="0.01" value="${tier.price || 0}">
+          <select class="form-input" data-field="currency">
+            ${currencies.map(c => `<option value="${c}" ${c === (tier.currency || 'USD') ? 'selected' : ''}>${c}</option>`).join('')}
+          </select>
+          <input type="number" class="form-input" data-field="capacity" placeholder="Limit" min="1" value="${tier.capacity || ''}">
+        </div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr auto; gap: 0.5rem; margin-top: 0.5rem; align-items: center;">
+          <input type="datetime-local" class="form-input" data-field="sales_start" title="Sales start" value="${toLocalInput(tier.sales_start)}">
+          <input type="datetime-local" class="form-input" data-field="sales_end" title="Sales end" value="${toLocalInput(tier.sales_end)}">
+          <button type="button" class="tier-remove" style="border: none; background: none; color: #dc2626; cursor: pointer; font-size: 0.85rem; ${tiers.length === 1 ? 'visibility: hidden;' : ''}">Remove</button>
+        </div>
+      </div>
+    `).join('') + `
+      <button type="button" class="tier-add" style="border: 1.5px dashed #d1d5db; background: none; border-radius: 8px; padding: 0.5rem 0.9rem; cursor: pointer; font-size: 0.85rem; color: #4b5563;">+ Add ticket type</button>
+      <p class="form-hint" style="margin-top: 0.5rem;">Limit and sales window are optional. Leave price at 0 for free tickets.</p>
+    `;
+
+    container.querySelectorAll('.tier-row').forEach(row => {
+      const tier = tiers[row.dataset.index];
+      row.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('input', () => { tier[input.dataset.field] = input.value; });
+        input.addEventListener('change', () => { tier[input.dataset.field] = input.value; });
+      });
+      row.querySelector('.tier-remove').addEventListener('click', () => {
+        tiers.splice(row.dataset.index, 1);
+        render();
+      });
+    });
+
+    container.querySelector('.tier-add').addEventListener('click', () => {
+      tiers.push({ name: '', price: 0, currency: tiers[0] ? tiers[0].currency : 'USD', capacity: null, sales_start: null, sales_end: null });
+      render();
+    });
+  }
+
+  render();
+
+  return {
+    getTiers() {
+      return tiers.map(t => ({
+        id: t.id || undefined,
+        name: (t.name || '').trim(),
+        price: parseFloat(t.price) || 0,
+        currency: t.currency || 'USD',
+        capacity: t.capacity ? parseInt(t.capacity) : null,
+        sales_start: t.sales_start ? new Date(t.sales_start).toISOString() : null,
+        sales_end: t.sales_end ? new Date(t.sales_end).toISOString() : null
+      }));
+    }
+  };
+}
@@ -1,8 +1,31 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const QRCode = require('qrcode');
-const crypto = require('crypto');
-const { getDb, saveDb } = require('../db');
+const { getDb, saveDb, transaction } = require('../db');
+const mailer = require('../lib/mailer');
+const tokens = require('../lib/tokens');
+const { readTicket, issueTicket, findActiveAttendee } = require('../lib/tickets');
+const { countActiveAttendees, countTakenSpots, withSeatLock } = require('../lib/capacity');
+const { fillOpenSpots, expireOffers } = require('../lib/waitlist');
+const { normalizeTiers, getTiers, countTierTaken, chooseTier, describeTiers, insertTiers, findTierRemovalError, replaceTiers } = require('../lib/tiers');
+const { getOrder, createOrder, refundOrder } = require('../lib/orders');
+const { ROLE_LABELS, getRole, permissionsFor, can, requireEventPermission } = require('../lib/permissions');
+const { normalizeRule, expandRule, addDays, daysBetween, getOccurrences, summarizeSeries } = require('../lib/recurrence');
+const { nextSequence, buildCalendar, icsFilename, getFeedToken, resetFeedToken, feedUrl } = require('../lib/calendar');
+const { normalizeSchedule } = require('../lib/timezones');
+const { parseListingQuery, searchEvents } = require('../lib/listing');
+const { normalizeQuestions, getQuestions, parseAnswers, validateAnswers } = require('../lib/questions');
+const { normalizeMaxGuests, normalizeGuests, issueGuestTickets, getGuests, cancelGuests } = require('../lib/guests');
+const { approvalProblem, approveRegistration, declineRegistration } = require('../lib/approvals');
+const { MAX_LOG_ENTRIES, sessionFor, checkIn, undoCheckIn, logRejection, checkedInNow, checkinTimes, getLog } = require('../lib/checkins');
+const { buildManifest, syncScans } = require('../lib/offline-checkin');
+const { transitionError, registrationProblem, checkinProblem, releaseEvent, refundPaidOrders, deleteEventRows } = require('../lib/lifecycle');
+const { openStream, publish, closeStreams, describeAttendee } = require('../lib/live');
+const { planImport, commitImport, describeRows } = require('../lib/import');
+const { ATTENDEE_STATUSES, WAITLIST_STATUSES, ATTENDEE_COLUMNS, WAITLIST_COLUMNS, toCsv, toWorkbook, allColumns, chooseColumns, parseFilters, getAttendeeRows, getWaitlistRows, eventBackup } = require('../lib/export');
+const { SEGMENTS, MAX_PER_HOUR, MAX_PER_DAY, segmentCounts, createMessage, deliverMessage, listMessages, getMessage, readUnsubscribeToken, isUnsubscribed, unsubscribe, resubscribe } = require('../lib/messages');
+const { isValidEmail, isValidColor } = require('../lib/validation');
+const { slidingWindow, limitRequests } = require('../lib/rate-limit');
+const { MAX_INVITATIONS, normalizeVisibility, checkAccess, denyAccess, publicEvent, invitationUrl, createInvitations, listInvitations, recordInvitationRegistration } = require('../lib/access');
 
 const router = express.Router();
 
@@ -25,6 +48,23 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Registering and joining a waitlist are public, so each IP gets a handful of
+// attempts every few minutes, and each email a few per event an hour
+const limitRegistrations = limitRequests([
+  [slidingWindow({ limit: 10, windowMs: 10 * 60 * 1000 }), req => req.ip],
+  [slidingWindow({ limit: 5, windowMs: 60 * 60 * 1000 }), req => req.body.email && `${req.params.slug}:${req.body.email}`]
+], 'Too many registration attempts');
+
+// The register form has a field people can't see; only bots fill it in
+const HONEYPOT_FIELD = 'website';
+
+function guardRegistration(req, res, next) {
+  if (req.body[HONEYPOT_FIELD]) {
+    return res.status(400).json({ error: 'Registration could not be completed' });
+  }
+  limitRegistrations(req, res, next);
+}
+
 function rowsToObjects(results) {
   if (!results || results.length === 0) return [];
   const columns = results[0].columns;
@@ -35,8 +75,31 @@ function rowsToObjects(results) {
   });
 }
 
+// What staff see of an attendee row, as in the attendee list. Never the
+// ticket token, QR code or cancel token, which would let them copy or cancel
+// the ticket.
+function staffAttendee(attendee) {
+  return {
+    id: attendee.id,
+    name: attendee.name,
+    email: attendee.email,
+    checked_in: attendee.checked_in,
+    checked_in_at: attendee.checked_in_at,
+    cancelled: attendee.cancelled,
+    created_at: attendee.created_at,
+    registrant_id: attendee.registrant_id || null,
+    approval_status: attendee.approval_status
+  };
+}
+
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 
+// The same schedule moved to another date, keeping its length in days
+function scheduleOn(schedule, date) {
+  const span = schedule.end_date ? daysBetween(schedule.date, schedule.end_date) : 0;
+  return normalizeSchedule({ ...schedule, date, end_date: span ? addDays(date, span) : null });
+}
+
 // ─── Events CRUD ──────────────────────────────────────
 
 // Create event
@@ -44,49 +107,140 @@ router.post('/events', requireAuth, async (req, res) => {
   try {
     const db = await getDb();
     const {
-      title, description, date, start_time, end_time,
-      location, capacity, price, ticket_type,
-      cover_gradient, cover_image, accent_color, custom_slug, status
+      title, description, date, start_time, end_date, end_time, timezone,
+      location, capacity, price, ticket_type, tiers, recurrence, questions, max_guests, requires_approval,
+      visibility, access_code, cover_gradient, cover_image, accent_color, custom_slug, status
     } = req.body;
 
     if (!title || !date || !start_time || !end_time || !location) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const id = uuidv4();
+    const { schedule, error: scheduleError } = normalizeSchedule({ date, start_time, end_date, end_time, timezone });
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // Older clients send a flat price instead of tiers
+    let tierInput = tiers;
+    if (!tierInput && ticket_type === 'paid' && price > 0) {
+      tierInput = [{ name: 'General Admission', price }];
+    }
+    const { tiers: ticketTiers, error: tierError } = normalizeTiers(tierInput || []);
+    if (tierError) {
+      return res.status(400).json({ error: tierError });
+    }
+
+    const { questions: eventQuestions, error: questionError } = normalizeQuestions(questions || []);
+    if (questionError) {
+      return res.status(400).json({ error: questionError });
+    }
+
+    const { maxGuests, error: guestError } = normalizeMaxGuests(max_guests);
+    if (guestError) {
+      return res.status(400).json({ error: guestError });
+    }
+
+    // Approved registrants get their ticket straight away, so there is no checkout step to hold
+    if (requires_approval && ticketTiers.some(t => t.price > 0)) {
+      return res.status(400).json({ error: 'Host approval is only available for free events' });
+    }
+
+    const access = normalizeVisibility(visibility, access_code);
+    if (access.error) {
+      return res.status(400).json({ error: access.error });
+    }
+
+    if (accent_color && !isValidColor(accent_color)) {
+      return res.status(400).json({ error: 'Accent color must be a hex color such as #7c3aed' });
+    }
+
+    if (status && status !== 'draft' && status !== 'published') {
+      return res.status(400).json({ error: 'New events start as a draft or published' });
+    }
+
+    // Recurring events get one row per date, all sharing a series id
+    let rule = null;
+    let dates = [date];
+    if (recurrence) {
+      const result = normalizeRule(recurrence, date);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      rule = result.rule;
+      dates = expandRule(rule);
+      if (!dates.length) {
+        return res.status(400).json({ error: 'This recurrence rule has no dates' });
+      }
+    }
+
+    // Re-derived per date so each occurrence gets the right UTC offset across DST changes
+    const schedules = [];
+    for (const occurrenceDate of dates) {
+      const result = occurrenceDate === schedule.date ? { schedule } : scheduleOn(schedule, occurrenceDate);
+      if (result.error) {
+        return res.status(400).json({ error: `${occurrenceDate}: ${result.error}` });
+      }
+      schedules.push(result.schedule);
+    }
+
     const user = req.session.user;
 
-    // Handle custom slug
-    let slug;
+    // Handle custom slug (occurrences of a series get the date appended)
+    let baseSlug = null;
     if (custom_slug && custom_slug.trim()) {
-      slug = custom_slug.trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-|-$/g, '');
+      baseSlug = custom_slug.trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-|-$/g, '');
       // Check uniqueness
-      const existing = db.prepare('SELECT id FROM events WHERE slug = ?');
-      existing.bind([slug]);
+      const wanted = rule ? dates.map(d => `${baseSlug}-${d}`) : [baseSlug];
+      const existing = db.prepare(`SELECT id FROM events WHERE slug IN (${wanted.map(() => '?').join(',')})`);
+      existing.bind(wanted);
       if (existing.step()) {
         existing.free();
         return res.status(409).json({ error: 'This URL is already taken. Try another one.' });
       }
       existing.free();
-    } else {
-      slug = generateSlug(title);
     }
 
-    db.run(
-      `INSERT INTO events (id, title, description, date, start_time, end_time, location, capacity, price, ticket_type, cover_gradient, cover_image, accent_color, status, user_id, host_name, host_email, slug, custom_slug)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, title, description || '', date, start_time, end_time, location,
-       capacity || 50, price || 0, ticket_type || 'free',
-       cover_gradient || (cover_image ? null : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'),
-       cover_image || null,
-       accent_color || '#7c3aed',
-       status || 'published',
-       user.id, user.name, user.email, slug,
-       custom_slug ? 1 : 0]
-    );
+    let seriesId = null;
+    if (rule) {
+      seriesId = uuidv4();
+      db.run(
+        `INSERT INTO series (id, user_id, frequency, interval, weekday, week_of_month, starts_on, until, count, exceptions)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [seriesId, user.id, rule.frequency, rule.interval, rule.weekday, rule.week_of_month,
+         rule.starts_on, rule.until, rule.count, JSON.stringify(rule.exceptions)]
+      );
+    }
+
+    const occurrences = schedules.map(when => {
+      const id = uuidv4();
+      const slug = baseSlug
+        ? (rule ? `${baseSlug}-${when.date}` : baseSlug)
+        : generateSlug(title);
+
+      db.run(
+        `INSERT INTO events (id, title, description, date, start_time, end_date, end_time, timezone, starts_at, ends_at, location, capacity, max_guests, requires_approval, price, ticket_type, cover_gradient, cover_image, accent_color, status, visibility, access_code, user_id, host_name, host_email, slug, custom_slug, series_id, questions)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, title, description || '', when.date, when.start_time, when.end_date, when.end_time,
+         when.timezone, when.starts_at, when.ends_at, location,
+         capacity || 50, maxGuests, requires_approval ? 1 : 0, price || 0, ticket_type || 'free',
+         cover_gradient || (cover_image ? null : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'),
+         cover_image || null,
+         accent_color || '#7c3aed',
+         status || 'published',
+         access.visibility, access.accessCode,
+         user.id, user.name, user.email, slug,
+         custom_slug ? 1 : 0, seriesId, JSON.stringify(eventQuestions)]
+      );
+      insertTiers(db, id, ticketTiers);
+      return { id, slug, date: when.date };
+    });
     saveDb();
 
-    res.json({ id, slug });
+    if (!rule) {
+      return res.json({ id: occurrences[0].id, slug: occurrences[0].slug });
+    }
+    res.json({ id: occurrences[0].id, slug: occurrences[0].slug, series_id: seriesId, occurrences });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to create event' });
@@ -94,28 +248,103 @@ router.post('/events', requireAuth, async (req, res) => {
 });
 
 // Update event
-router.put('/events/:slug', requireAuth, async (req, res) => {
+router.put('/events/:slug', requireEventPermission('edit'), async (req, res) => {
   try {
     const db = await getDb();
+    const event = req.event;
 
-    const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
-    eventStmt.bind([req.params.slug]);
-    if (!eventStmt.step()) {
-      eventStmt.free();
-      return res.status(404).json({ error: 'Event not found' });
+    const {
+      title, description, date, start_time, end_date, end_time, timezone,
+      location, capacity, tiers, questions, max_guests, requires_approval, visibility, access_code,
+      cover_gradient, accent_color, status, custom_slug, scope
+    } = req.body;
+
+    let ticketTiers = null;
+    if (tiers !== undefined) {
+      const result = normalizeTiers(tiers);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      ticketTiers = result.tiers;
     }
-    const event = eventStmt.getAsObject();
-    eventStmt.free();
 
-    if (event.user_id !== req.session.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    // Answers are keyed by question id, so edited questions keep their answers
+    let eventQuestions = null;
+    if (questions !== undefined) {
+      const result = normalizeQuestions(questions);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      eventQuestions = result.questions;
     }
 
-    const {
-      title, description, date, start_time, end_time,
-      location, capacity, price, ticket_type,
-      cover_gradient, accent_color, status, custom_slug
-    } = req.body;
+    let maxGuests = null;
+    if (max_guests !== undefined) {
+      const result = normalizeMaxGuests(max_guests);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      maxGuests = result.maxGuests;
+    }
+
+    const approval = requires_approval !== undefined ? (requires_approval ? 1 : 0) : null;
+    const approvalAfter = approval !== null ? approval : event.requires_approval;
+    if (approvalAfter && (ticketTiers || getTiers(db, event.id)).some(t => t.price > 0)) {
+      return res.status(400).json({ error: 'Host approval is only available for free events' });
+    }
+
+    // Leaving the access code out keeps the current one
+    let access = null;
+    if (visibility !== undefined) {
+      access = normalizeVisibility(visibility, access_code !== undefined ? access_code : event.access_code);
+      if (access.error) {
+        return res.status(400).json({ error: access.error });
+      }
+    }
+
+    if (accent_color && !isValidColor(accent_color)) {
+      return res.status(400).json({ error: 'Accent color must be a hex color such as #7c3aed' });
+    }
+
+    // Series occurrences can be edited alone or together with every later one
+    const targets = scope === 'following' && event.series_id
+      ? getOccurrences(db, event.series_id, event.date)
+      : [event];
+
+    // Status changes follow the same rules as PATCH. The form always sends the
+    // status, so occurrences keep their own unless this event's one changed.
+    const newStatus = status && status !== event.status ? status : null;
+    if (newStatus) {
+      for (const target of targets) {
+        const statusError = transitionError(db, target, newStatus);
+        if (statusError) {
+          return res.status(409).json({ error: targets.length > 1 ? `${target.date}: ${statusError}` : statusError });
+        }
+      }
+    }
+    const dayShift = date && date !== event.date ? daysBetween(event.date, date) : 0;
+
+    // Work out every target's new schedule up front so a bad one changes nothing.
+    // An end_date in the request sets the length in days for all targets.
+    const span = end_date !== undefined
+      ? (end_date ? daysBetween(date || event.date, end_date) : 0)
+      : null;
+    const schedules = new Map();
+    for (const target of targets) {
+      const newDate = dayShift ? addDays(target.date, dayShift) : target.date;
+      const targetSpan = span !== null ? span : (target.end_date ? daysBetween(target.date, target.end_date) : 0);
+      const result = normalizeSchedule({
+        date: newDate,
+        start_time: start_time || target.start_time,
+        end_date: targetSpan ? addDays(newDate, targetSpan) : null,
+        end_time: end_time || target.end_time,
+        timezone: timezone || target.timezone
+      });
+      if (result.error) {
+        return res.status(400).json({ error: targets.length > 1 ? `${newDate}: ${result.error}` : result.error });
+      }
+      schedules.set(target.id, result.schedule);
+    }
 
     // Handle slug change
     let newSlug = req.params.slug;
@@ -133,56 +362,141 @@ router.put('/events/:slug', requireAuth, async (req, res) => {
       }
     }
 
-    db.run(
-      `UPDATE events SET title=?, description=?, date=?, start_time=?, end_time=?, location=?, capacity=?, price=?, ticket_type=?, cover_gradient=?, accent_color=?, status=?, slug=? WHERE id=?`,
-      [
-        title || event.title,
-        description !== undefined ? description : event.description,
-        date || event.date,
-        start_time || event.start_time,
-        end_time || event.end_time,
-        location || event.location,
-        capacity || event.capacity,
-        price !== undefined ? price : event.price,
-        ticket_type || event.ticket_type,
-        cover_gradient || event.cover_gradient,
-        accent_color || event.accent_color,
-        status || event.status,
-        newSlug,
-        event.id
-      ]
-    );
+    // Tier ids belong to this occurrence; other occurrences match by position.
+    // Check every occurrence before changing any of them.
+    const tierPlans = new Map();
+    if (ticketTiers) {
+      const sourceTiers = getTiers(db, event.id);
+      for (const target of targets) {
+        const targetTiers = getTiers(db, target.id);
+        const planned = target.id === event.id ? ticketTiers : ticketTiers.map(tier => {
+          const index = sourceTiers.findIndex(t => t.id === tier.id);
+          return { ...tier, id: index >= 0 && targetTiers[index] ? targetTiers[index].id : null };
+        });
+        const tierError = findTierRemovalError(db, target.id, planned);
+        if (tierError) {
+          return res.status(409).json({ error: targets.length > 1 ? `${target.date}: ${tierError}` : tierError });
+        }
+        tierPlans.set(target.id, planned);
+      }
+    }
+
+    // Every occurrence is updated, or none is
+    transaction(db, () => {
+      for (const target of targets) {
+        if (tierPlans.has(target.id)) replaceTiers(db, target.id, tierPlans.get(target.id));
+
+        const when = schedules.get(target.id);
+        const updated = {
+          title: title || target.title,
+          description: description !== undefined ? description : target.description,
+          date: when.date,
+          start_time: when.start_time,
+          end_date: when.end_date,
+          end_time: when.end_time,
+          timezone: when.timezone,
+          location: location || target.location,
+          status: newStatus || target.status
+        };
+        const calendarChanged = Object.keys(updated).some(key => (updated[key] || '') !== (target[key] || ''));
+
+        db.run(
+          `UPDATE events SET title=?, description=?, date=?, start_time=?, end_date=?, end_time=?, timezone=?, starts_at=?, ends_at=?, location=?, capacity=?, max_guests=?, requires_approval=?, cover_gradient=?, accent_color=?, status=?, visibility=?, access_code=?, slug=?, questions=?, calendar_sequence=? WHERE id=?`,
+          [
+            updated.title,
+            updated.description,
+            updated.date,
+            updated.start_time,
+            updated.end_date,
+            updated.end_time,
+            updated.timezone,
+            when.starts_at,
+            when.ends_at,
+            updated.location,
+            capacity || target.capacity,
+            maxGuests !== null ? maxGuests : target.max_guests,
+            approval !== null ? approval : target.requires_approval,
+            cover_gradient || target.cover_gradient,
+            accent_color || target.accent_color,
+            updated.status,
+            access ? access.visibility : target.visibility,
+            access ? access.accessCode : target.access_code,
+            target.id === event.id ? newSlug : target.slug,
+            eventQuestions ? JSON.stringify(eventQuestions) : target.questions,
+            nextSequence(target, calendarChanged),
+            target.id
+          ]
+        );
+      }
+    });
+    saveDb();
+
+    for (const target of targets) {
+      if (newStatus === 'cancelled' && target.status !== 'cancelled') await releaseEvent(db, target);
+    }
     saveDb();
 
-    res.json({ slug: newSlug });
+    // More capacity may free seats for the waitlist
+    for (const target of targets) {
+      const updatedStmt = db.prepare('SELECT * FROM events WHERE id = ?');
+      updatedStmt.bind([target.id]);
+      updatedStmt.step();
+      const updatedTarget = updatedStmt.getAsObject();
+      updatedStmt.free();
+      fillOpenSpots(db, updatedTarget);
+      publish(db, target.id, 'event', { status: updatedTarget.status, slug: updatedTarget.slug });
+    }
+
+    res.json({ slug: newSlug, updated: targets.length });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to update event' });
   }
 });
 
-// Delete event
-router.delete('/events/:slug', requireAuth, async (req, res) => {
+// Move an event through its lifecycle (see lib/lifecycle.js). Cancelling
+// releases and notifies everyone registered or waitlisted.
+router.patch('/events/:slug', requireEventPermission('edit'), async (req, res) => {
   try {
     const db = await getDb();
+    const event = req.event;
+    const { status } = req.body;
 
-    const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
-    eventStmt.bind([req.params.slug]);
-    if (!eventStmt.step()) {
-      eventStmt.free();
-      return res.status(404).json({ error: 'Event not found' });
-    }
-    const event = eventStmt.getAsObject();
-    eventStmt.free();
+    if (!status) return res.status(400).json({ error: 'Status is required' });
+    const statusError = transitionError(db, event, status);
+    if (statusError) return res.status(409).json({ error: statusError });
 
-    if (event.user_id !== req.session.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    let released = null;
+    if (status !== event.status) {
+      db.run('UPDATE events SET status = ?, calendar_sequence = ? WHERE id = ?', [status, nextSequence(event), event.id]);
+      if (status === 'cancelled') released = await releaseEvent(db, event);
+      saveDb();
     }
 
-    db.run('DELETE FROM waitlist WHERE event_id = ?', [event.id]);
-    db.run('DELETE FROM attendees WHERE event_id = ?', [event.id]);
-    db.run('DELETE FROM events WHERE id = ?', [event.id]);
+    const stmt = db.prepare('SELECT * FROM events WHERE id = ?');
+    stmt.bind([event.id]);
+    stmt.step();
+    const updated = stmt.getAsObject();
+    stmt.free();
+
+    if (status !== event.status) publish(db, event.id, 'event', { status: updated.status, slug: updated.slug });
+    res.json({ event: updated, released });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update event status' });
+  }
+});
+
+// Delete event
+router.delete('/events/:slug', requireEventPermission('delete'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+
+    await refundPaidOrders(db, event);
+    transaction(db, () => deleteEventRows(db, event));
     saveDb();
+    closeStreams(event.id, { status: 'deleted', slug: event.slug });
 
     res.json({ success: true });
   } catch (err) {
@@ -200,17 +514,35 @@ router.get('/events/:slug', async (req, res) => {
 
     if (stmt.step()) {
       const event = stmt.getAsObject();
-      const countStmt = db.prepare('SELECT COUNT(*) as count FROM attendees WHERE event_id = ? AND cancelled = 0');
+      stmt.free();
+
+      // Private events need an invitation or access code (remembered in the session)
+      const access = checkAccess(db, req, event);
+      if (access.recorded) saveDb();
+      if (!access.allowed) {
+        return denyAccess(res, event, access);
+      }
+
+      const countStmt = db.prepare("SELECT COUNT(*) as count FROM attendees WHERE event_id = ? AND cancelled = 0 AND approval_status = 'approved'");
       countStmt.bind([event.id]);
       countStmt.step();
       const { count } = countStmt.getAsObject();
       countStmt.free();
-      stmt.free();
-
-      // Is current user the owner?
-      const isOwner = req.session && req.session.user && req.session.user.id === event.user_id;
 
-      res.json({ ...event, rsvp_count: count, is_owner: isOwner });
+      // The current user's role decides which host controls the page shows
+      const role = getRole(db, event, req.session && req.session.user);
+
+      res.json({
+        ...(can(role, 'edit') ? event : publicEvent(event)),
+        rsvp_count: count,
+        spots_left: Math.max(0, event.capacity - countTakenSpots(db, event.id)),
+        questions: getQuestions(event),
+        is_owner: role === 'owner',
+        role,
+        permissions: permissionsFor(role),
+        tiers: describeTiers(db, event.id),
+        series: event.series_id ? summarizeSeries(db, event.series_id) : null
+      });
     } else {
       stmt.free();
       res.status(404).json({ error: 'Event not found' });
@@ -221,12 +553,37 @@ router.get('/events/:slug', async (req, res) => {
   }
 });
 
-// List all published events
+// Download an event as an .ics file
+router.get('/events/:slug/calendar.ics', async (req, res) => {
+  try {
+    const db = await getDb();
+    const stmt = db.prepare('SELECT * FROM events WHERE slug = ?');
+    stmt.bind([req.params.slug]);
+    const event = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    const access = checkAccess(db, req, event);
+    if (!access.allowed) return denyAccess(res, event, access);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${icsFilename(event)}"`);
+    res.send(buildCalendar([event], { method: 'PUBLISH' }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to build calendar file' });
+  }
+});
+
+// List published events, with search, filters and cursor pagination (see lib/listing.js)
 router.get('/events', async (req, res) => {
   try {
+    const { options, error } = parseListingQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const db = await getDb();
-    const results = db.exec("SELECT * FROM events WHERE status = 'published' ORDER BY date ASC, start_time ASC");
-    res.json(rowsToObjects(results));
+    res.json(searchEvents(db, options));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to fetch events' });
@@ -237,8 +594,14 @@ router.get('/events', async (req, res) => {
 router.get('/my-events', requireAuth, async (req, res) => {
   try {
     const db = await getDb();
-    const stmt = db.prepare('SELECT * FROM events WHERE user_id = ? ORDER BY date DESC');
-    stmt.bind([req.session.user.id]);
+    const stmt = db.prepare(`
+      SELECT e.*, 'owner' AS role FROM events e WHERE e.user_id = ?
+      UNION ALL
+      SELECT e.*, m.role FROM events e JOIN event_members m ON m.event_id = e.id
+      WHERE m.user_id = ? AND m.status = 'active' AND (e.user_id IS NULL OR e.user_id != ?)
+      ORDER BY starts_at DESC
+    `);
+    stmt.bind([req.session.user.id, req.session.user.id, req.session.user.id]);
     const events = [];
     while (stmt.step()) {
       events.push(stmt.getAsObject());
@@ -253,14 +616,83 @@ router.get('/my-events', requireAuth, async (req, res) => {
 
 // ─── Registration / RSVP ─────────────────────────────
 
-router.post('/events/:slug/register', async (req, res) => {
+// Guests listed with their own email can't already hold a ticket for the event
+function findRegisteredGuest(db, eventId, guests) {
+  return guests.find(g => g.ownEmail && findActiveAttendee(db, eventId, g.email)) || null;
+}
+
+// Registers one person (and their guests) for every upcoming, published
+// occurrence of a series. Dates that are full or already booked are skipped
+// and reported back.
+async function registerForSeries(db, event, { name, email, tier_id, answers, guests }) {
+  const now = new Date().toISOString();
+  const sourceTiers = getTiers(db, event.id);
+  const tierIndex = sourceTiers.findIndex(t => t.id === tier_id);
+  const results = [];
+
+  for (const occurrence of getOccurrences(db, event.series_id)) {
+    if (occurrence.status !== 'published' || occurrence.starts_at <= now) continue;
+    const result = { date: occurrence.date, slug: occurrence.slug, event_id: occurrence.id };
+    results.push(result);
+
+    if (findActiveAttendee(db, occurrence.id, email) || findRegisteredGuest(db, occurrence.id, guests)) {
+      result.status = 'already_registered';
+      continue;
+    }
+    if (guests.length > (occurrence.max_guests || 0)) { result.status = 'unavailable'; continue; }
+
+    // Occurrences edited on their own may ask different questions
+    const checked = validateAnswers(getQuestions(occurrence), answers);
+    if (checked.error) { result.status = 'unavailable'; continue; }
+
+    const occurrenceTiers = getTiers(db, occurrence.id);
+    const mappedTierId = tierIndex >= 0 && occurrenceTiers[tierIndex] ? occurrenceTiers[tierIndex].id : null;
+    const { tier, error: tierError } = chooseTier(db, occurrence.id, mappedTierId);
+    if (tierError || (tier && tier.price > 0)) { result.status = 'unavailable'; continue; }
+
+    // Dates that need approval take the registration as pending
+    if (occurrence.requires_approval) {
+      const attendee = await issueTicket(db, occurrence, { name, email, tierId: tier ? tier.id : null, answers: checked.answers, approvalStatus: 'pending' });
+      await issueGuestTickets(db, occurrence, attendee, guests, tier ? tier.id : null);
+      mailer.sendRegistrationPending(occurrence, attendee, guests.length);
+      result.status = 'pending';
+      result.id = attendee.id;
+      continue;
+    }
+
+    const partySize = 1 + guests.length;
+    if (countTakenSpots(db, occurrence.id) + partySize > occurrence.capacity ||
+        (tier && tier.capacity !== null && countTierTaken(db, tier.id) + partySize > tier.capacity)) {
+      result.status = 'full';
+      continue;
+    }
+
+    const attendee = await issueTicket(db, occurrence, { name, email, tierId: tier ? tier.id : null, answers: checked.answers });
+    const guestTickets = await issueGuestTickets(db, occurrence, attendee, guests, tier ? tier.id : null);
+    mailer.sendRsvpConfirmation(occurrence, attendee, guestTickets);
+    result.status = 'registered';
+    result.id = attendee.id;
+  }
+  saveDb();
+
+  return results;
+}
+
+// Runs under the seat lock: the duplicate and capacity checks below hold
+// until the tickets are written
+router.post('/events/:slug/register', guardRegistration, (req, res) => withSeatLock(() => register(req, res)));
+
+async function register(req, res) {
   try {
     const db = await getDb();
-    const { name, email } = req.body;
+    const { name, email, tier_id, series } = req.body;
 
     if (!name || !email) {
       return res.status(400).json({ error: 'Name and email are required' });
     }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
 
     const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
     eventStmt.bind([req.params.slug]);
@@ -271,60 +703,120 @@ router.post('/events/:slug/register', async (req, res) => {
     const event = eventStmt.getAsObject();
     eventStmt.free();
 
-    if (event.status === 'cancelled') {
-      return res.status(400).json({ error: 'This event has been cancelled' });
+    const closed = registrationProblem(event);
+    if (closed) {
+      return res.status(400).json({ error: closed });
+    }
+
+    const access = checkAccess(db, req, event);
+    if (!access.allowed) {
+      return denyAccess(res, event, access);
     }
-    if (event.status === 'draft') {
-      return res.status(400).json({ error: 'This event is not yet published' });
+
+    const { answers, error: answerError } = validateAnswers(getQuestions(event), req.body.answers);
+    if (answerError) {
+      return res.status(400).json({ error: answerError });
     }
 
-    // Check duplicate
-    const dupStmt = db.prepare('SELECT id, cancelled FROM attendees WHERE event_id = ? AND email = ?');
-    dupStmt.bind([event.id, email]);
-    if (dupStmt.step()) {
-      const existing = dupStmt.getAsObject();
-      dupStmt.free();
-      if (!existing.cancelled) {
-        return res.status(409).json({ error: 'This email is already registered for this event' });
+    const { guests, error: guestError } = normalizeGuests(event, { name, email, guests: req.body.guests, party_size: req.body.party_size });
+    if (guestError) {
+      return res.status(400).json({ error: guestError });
+    }
+    const partySize = 1 + guests.length;
+
+    // Whole-series RSVP (free tickets only; paid dates are bought one at a time)
+    if (series && event.series_id) {
+      const { tier } = chooseTier(db, event.id, tier_id);
+      if (tier && tier.price > 0) {
+        return res.status(400).json({ error: 'Paid tickets have to be bought one date at a time' });
+      }
+
+      const results = await registerForSeries(db, event, { name, email, tier_id, answers: req.body.answers, guests });
+      const registered = results.filter(r => r.status === 'registered' || r.status === 'pending');
+      if (!registered.length) {
+        return res.status(409).json({ error: 'There were no upcoming dates with space left for you', results });
       }
-      // Re-register cancelled attendee
-      const qrData = JSON.stringify({ attendeeId: existing.id, eventId: event.id, name, email });
-      const qrCode = await QRCode.toDataURL(qrData, { width: 300, margin: 2 });
-      db.run('UPDATE attendees SET cancelled = 0, name = ?, qr_code = ?, checked_in = 0 WHERE id = ?', [name, qrCode, existing.id]);
+      const current = registered.find(r => r.slug === event.slug) || registered[0];
+      recordInvitationRegistration(db, access.grant, current.id);
       saveDb();
-      return res.json({ id: existing.id, name, email, qr_code: qrCode, event, reactivated: true });
+      registered.forEach(r => publish(db, r.event_id, 'registration', {
+        attendee: { id: r.id, name, registrant_id: null, approval_status: r.status === 'pending' ? 'pending' : 'approved' },
+        guests: guests.length
+      }));
+      return res.json({ series: true, id: current.id, slug: current.slug, registered: registered.length, results });
+    }
+
+    // Check duplicate
+    const existing = findActiveAttendee(db, event.id, email);
+    if (existing) {
+      const messages = {
+        pending: 'This email already has a registration awaiting the host\'s approval',
+        declined: 'The host declined the registration for this email'
+      };
+      return res.status(409).json({ error: messages[existing.approval_status] || 'This email is already registered for this event' });
+    }
+    const registeredGuest = findRegisteredGuest(db, event.id, guests);
+    if (registeredGuest) {
+      return res.status(409).json({ error: `${registeredGuest.email} is already registered for this event` });
+    }
+
+    // Pick the ticket tier (events without tiers are free general admission)
+    const { tier, error: tierError } = chooseTier(db, event.id, tier_id);
+    if (tierError) {
+      return res.status(400).json({ error: tierError });
+    }
+    if (guests.length && tier && tier.price > 0) {
+      return res.status(400).json({ error: 'Guests can only be added to free tickets — buy a ticket for each person instead' });
     }
-    dupStmt.free();
 
-    // Check capacity
-    const countStmt = db.prepare('SELECT COUNT(*) as count FROM attendees WHERE event_id = ? AND cancelled = 0');
-    countStmt.bind([event.id]);
-    countStmt.step();
-    const { count } = countStmt.getAsObject();
-    countStmt.free();
+    // Approval-only events take the registration as pending; seats are checked when it's approved
+    if (event.requires_approval) {
+      const attendee = await issueTicket(db, event, { name, email, tierId: tier ? tier.id : null, answers, approvalStatus: 'pending' });
+      await issueGuestTickets(db, event, attendee, guests, tier ? tier.id : null);
+      recordInvitationRegistration(db, access.grant, attendee.id);
+      saveDb();
+      publish(db, event.id, 'registration', { attendee: describeAttendee(attendee), guests: guests.length });
+
+      mailer.sendRegistrationPending(event, attendee, guests.length);
+      return res.json({ id: attendee.id, name, email, pending: true, guests: guests.map(g => ({ name: g.name })), event: publicEvent(event), cancel_token: attendee.cancel_token });
+    }
 
-    if (count >= event.capacity) {
+    // Check capacity for the whole party (seats held for waitlist offers and open checkouts count as taken)
+    const spotsLeft = event.capacity - countTakenSpots(db, event.id);
+    if (spotsLeft <= 0) {
       return res.status(400).json({ error: 'FULL', isFull: true });
     }
+    if (partySize > spotsLeft) {
+      return res.status(409).json({ error: `Only ${spotsLeft} spot${spotsLeft === 1 ? '' : 's'} left — not enough for a group of ${partySize}`, spots_left: spotsLeft });
+    }
+    if (tier && tier.capacity !== null && countTierTaken(db, tier.id) + partySize > tier.capacity) {
+      return res.status(409).json({ error: guests.length ? `Not enough ${tier.name} tickets left for a group of ${partySize}` : `${tier.name} tickets are sold out` });
+    }
 
-    // Create attendee
-    const id = uuidv4();
-    const cancelToken = crypto.randomBytes(16).toString('hex');
-    const qrData = JSON.stringify({ attendeeId: id, eventId: event.id, name, email });
-    const qrCode = await QRCode.toDataURL(qrData, { width: 300, margin: 2, color: { dark: '#000000', light: '#ffffff' } });
+    // Paid tiers go through checkout; the ticket is issued once payment is confirmed
+    if (tier && tier.price > 0) {
+      const order = await createOrder(db, { event, tier, name, email, answers });
+      return res.json({ requires_payment: true, order_id: order.id, checkout_url: order.checkout_url });
+    }
 
-    db.run(
-      'INSERT INTO attendees (id, event_id, name, email, qr_code, cancel_token) VALUES (?, ?, ?, ?, ?, ?)',
-      [id, event.id, name, email, qrCode, cancelToken]
-    );
+    const attendee = await issueTicket(db, event, { name, email, tierId: tier ? tier.id : null, answers });
+    const guestTickets = await issueGuestTickets(db, event, attendee, guests, tier ? tier.id : null);
+    recordInvitationRegistration(db, access.grant, attendee.id);
     saveDb();
+    publish(db, event.id, 'registration', { attendee: describeAttendee(attendee), guests: guestTickets.length });
+
+    mailer.sendRsvpConfirmation(event, attendee, guestTickets);
 
-    res.json({ id, name, email, qr_code: qrCode, event, cancel_token: cancelToken });
+    const party = guestTickets.map(g => ({ id: g.id, name: g.name, email: g.email, qr_code: g.qr_code }));
+    if (attendee.reactivated) {
+      return res.json({ id: attendee.id, name, email, qr_code: attendee.qr_code, guests: party, event: publicEvent(event), reactivated: true });
+    }
+    res.json({ id: attendee.id, name, email, qr_code: attendee.qr_code, guests: party, event: publicEvent(event), cancel_token: attendee.cancel_token });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to register' });
   }
-});
+}
 
 // Cancel RSVP
 router.post('/attendees/:id/cancel', async (req, res) => {
@@ -342,23 +834,37 @@ router.post('/attendees/:id/cancel', async (req, res) => {
       return res.status(403).json({ error: 'Invalid cancellation link' });
     }
 
-    db.run('UPDATE attendees SET cancelled = 1 WHERE id = ?', [req.params.id]);
+    if (attendee.cancelled) {
+      return res.json({ success: true });
+    }
+
+    // A registrant's guests can't come without them
+    const guestsCancelled = transaction(db, () => {
+      db.run('UPDATE attendees SET cancelled = 1 WHERE id = ?', [req.params.id]);
+      return cancelGuests(db, attendee.id);
+    });
     saveDb();
 
-    // Check waitlist and promote first person
-    const waitStmt = db.prepare('SELECT * FROM waitlist WHERE event_id = ? AND notified = 0 ORDER BY created_at ASC LIMIT 1');
-    waitStmt.bind([attendee.event_id]);
-    if (waitStmt.step()) {
-      const nextInLine = waitStmt.getAsObject();
-      waitStmt.free();
-      db.run('UPDATE waitlist SET notified = 1 WHERE id = ?', [nextInLine.id]);
-      saveDb();
-      // In production, send email notification here
-    } else {
-      waitStmt.free();
+    const eventStmt = db.prepare('SELECT * FROM events WHERE id = ?');
+    eventStmt.bind([attendee.event_id]);
+    eventStmt.step();
+    const event = eventStmt.getAsObject();
+    eventStmt.free();
+
+    // Refund paid tickets
+    let refund = null;
+    const order = attendee.order_id ? getOrder(db, attendee.order_id) : null;
+    if (order && order.status === 'paid') {
+      refund = await refundOrder(db, order);
     }
 
-    res.json({ success: true });
+    mailer.sendCancellationReceipt(event, attendee, refund);
+
+    // Offer the freed seat to the next person on the waitlist
+    fillOpenSpots(db, event);
+    publish(db, event.id, 'cancellation', { attendee: describeAttendee(attendee), guests: guestsCancelled });
+
+    res.json({ success: true, refunded: !!refund, guests_cancelled: guestsCancelled });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to cancel' });
@@ -379,7 +885,17 @@ router.get('/attendees/:id', async (req, res) => {
       eventStmt.step();
       const event = eventStmt.getAsObject();
       eventStmt.free();
-      res.json({ ...attendee, event });
+
+      // The registrant's page also shows the tickets of guests who share their email
+      const guests = attendee.registrant_id ? [] : getGuests(db, attendee.id)
+        .filter(g => g.email === attendee.email)
+        .map(g => ({ id: g.id, name: g.name, qr_code: g.qr_code, checked_in: g.checked_in }));
+
+      // No ticket until the host approves
+      if (attendee.approval_status !== 'approved') {
+        return res.json({ ...attendee, qr_code: null, ticket_token: null, event: publicEvent(event), guests });
+      }
+      res.json({ ...attendee, event: publicEvent(event), guests });
     } else {
       stmt.free();
       res.status(404).json({ error: 'Attendee not found' });
@@ -392,11 +908,12 @@ router.get('/attendees/:id', async (req, res) => {
 
 // ─── Waitlist ─────────────────────────────────────────
 
-router.post('/events/:slug/waitlist', async (req, res) => {
+router.post('/events/:slug/waitlist', guardRegistration, async (req, res) => {
   try {
     const db = await getDb();
     const { name, email } = req.body;
     if (!name || !email) return res.status(400).json({ error: 'Name and email required' });
+    if (!isValidEmail(email)) return res.status(400).json({ error: 'Please enter a valid email address' });
 
     const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
     eventStmt.bind([req.params.slug]);
@@ -404,18 +921,30 @@ router.post('/events/:slug/waitlist', async (req, res) => {
     const event = eventStmt.getAsObject();
     eventStmt.free();
 
+    const closed = registrationProblem(event);
+    if (closed) return res.status(400).json({ error: closed });
+    const access = checkAccess(db, req, event);
+    if (!access.allowed) return denyAccess(res, event, access);
+
+    // Answers are collected now and carried over when the spot is claimed
+    const { answers, error: answerError } = validateAnswers(getQuestions(event), req.body.answers);
+    if (answerError) {
+      return res.status(400).json({ error: answerError });
+    }
+
     // Check duplicate
-    const dupStmt = db.prepare('SELECT id FROM waitlist WHERE event_id = ? AND email = ?');
+    const dupStmt = db.prepare("SELECT id FROM waitlist WHERE event_id = ? AND email = ? AND status IN ('waiting', 'offered')");
     dupStmt.bind([event.id, email]);
     if (dupStmt.step()) { dupStmt.free(); return res.status(409).json({ error: 'Already on the waitlist' }); }
     dupStmt.free();
 
     const id = uuidv4();
-    db.run('INSERT INTO waitlist (id, event_id, name, email) VALUES (?, ?, ?, ?)', [id, event.id, name, email]);
+    db.run('INSERT INTO waitlist (id, event_id, name, email, answers) VALUES (?, ?, ?, ?, ?)', [id, event.id, name, email, JSON.stringify(answers)]);
     saveDb();
+    publish(db, event.id, 'waitlist', { entry: { id, name, status: 'waiting' } });
 
     // Count position
-    const posStmt = db.prepare('SELECT COUNT(*) as pos FROM waitlist WHERE event_id = ? AND created_at <= (SELECT created_at FROM waitlist WHERE id = ?)');
+    const posStmt = db.prepare("SELECT COUNT(*) as pos FROM waitlist WHERE event_id = ? AND status = 'waiting' AND created_at <= (SELECT created_at FROM waitlist WHERE id = ?)");
     posStmt.bind([event.id, id]);
     posStmt.step();
     const { pos } = posStmt.getAsObject();
@@ -428,49 +957,188 @@ router.post('/events/:slug/waitlist', async (req, res) => {
   }
 });
 
-// ─── Dashboard ────────────────────────────────────────
+// Loads a waitlist entry and checks its claim token. Sends the error response
+// itself and returns null when the link is not valid for this entry.
+function findOffer(db, res, waitlistId, token) {
+  const stmt = db.prepare('SELECT * FROM waitlist WHERE id = ?');
+  stmt.bind([waitlistId]);
+  if (!stmt.step()) { stmt.free(); res.status(404).json({ error: 'Waitlist entry not found' }); return null; }
+  const entry = stmt.getAsObject();
+  stmt.free();
+
+  // Expired offers keep their token so the page can still say what happened
+  const payload = tokens.verify(token);
+  const signatureOk = payload && payload.w === entry.id;
+  if (!token || entry.claim_token !== token || (entry.status === 'offered' && !signatureOk)) {
+    res.status(403).json({ error: 'Invalid claim link' });
+    return null;
+  }
+  return entry;
+}
 
-router.get('/events/:slug/attendees', requireAuth, async (req, res) => {
+// Offer details for the claim page
+router.get('/waitlist/:id', async (req, res) => {
   try {
     const db = await getDb();
+    expireOffers(db);
 
-    const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
-    eventStmt.bind([req.params.slug]);
-    if (!eventStmt.step()) { eventStmt.free(); return res.status(404).json({ error: 'Event not found' }); }
+    const entry = findOffer(db, res, req.params.id, req.query.token);
+    if (!entry) return;
+
+    const eventStmt = db.prepare('SELECT * FROM events WHERE id = ?');
+    eventStmt.bind([entry.event_id]);
+    eventStmt.step();
+    const event = eventStmt.getAsObject();
+    eventStmt.free();
+
+    res.json({
+      id: entry.id,
+      name: entry.name,
+      email: entry.email,
+      state: entry.status,
+      offer_expires_at: entry.offer_expires_at,
+      attendee_id: entry.attendee_id,
+      event: publicEvent(event),
+      tiers: describeTiers(db, event.id),
+      questions: getQuestions(event),
+      answers: parseAnswers(entry.answers)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch waitlist offer' });
+  }
+});
+
+// Claim an offered seat. Under the seat lock, so a double-click can't claim it twice.
+router.post('/waitlist/:id/claim', (req, res) => withSeatLock(() => claimOffer(req, res)));
+
+async function claimOffer(req, res) {
+  try {
+    const db = await getDb();
+    expireOffers(db);
+
+    const entry = findOffer(db, res, req.params.id, req.body.token);
+    if (!entry) return;
+
+    if (entry.status === 'claimed') {
+      return res.status(409).json({ error: 'This spot has already been claimed', attendee_id: entry.attendee_id });
+    }
+    if (entry.status === 'cancelled') {
+      return res.status(410).json({ error: 'This event has been cancelled', state: entry.status });
+    }
+    if (entry.status !== 'offered') {
+      return res.status(410).json({ error: 'This offer has expired', state: entry.status });
+    }
+
+    const eventStmt = db.prepare('SELECT * FROM events WHERE id = ?');
+    eventStmt.bind([entry.event_id]);
+    eventStmt.step();
     const event = eventStmt.getAsObject();
     eventStmt.free();
 
-    if (event.user_id && event.user_id !== req.session.user.id) {
-      return res.status(403).json({ error: 'You do not have access to this dashboard' });
+    if (event.status !== 'published') {
+      return res.status(400).json({ error: 'This event is no longer open for registration' });
+    }
+
+    // The offer holds a seat, so only confirmed attendees count against capacity here
+    if (countActiveAttendees(db, event.id) >= event.capacity) {
+      return res.status(409).json({ error: 'Sorry, this event is now full' });
+    }
+
+    const { name, email } = entry;
+    if (findActiveAttendee(db, event.id, email)) {
+      return res.status(409).json({ error: 'This email is already registered for this event' });
+    }
+
+    // Answers given when joining the waitlist, updated by the claim form if it sends any
+    const { answers, error: answerError } = validateAnswers(
+      getQuestions(event),
+      req.body.answers !== undefined ? req.body.answers : parseAnswers(entry.answers)
+    );
+    if (answerError) {
+      return res.status(400).json({ error: answerError });
+    }
+
+    const { tier, error: tierError } = chooseTier(db, event.id, req.body.tier_id);
+    if (tierError) {
+      return res.status(400).json({ error: tierError });
+    }
+    if (tier && tier.capacity !== null && countTierTaken(db, tier.id) >= tier.capacity) {
+      return res.status(409).json({ error: `${tier.name} tickets are sold out` });
+    }
+
+    // Paid tiers: the checkout takes over holding the seat from the offer
+    if (tier && tier.price > 0) {
+      const order = await createOrder(db, { event, tier, name, email, answers });
+      db.run("UPDATE waitlist SET status = 'claimed' WHERE id = ?", [entry.id]);
+      saveDb();
+      publish(db, event.id, 'waitlist', { entry: { id: entry.id, name, status: 'claimed' } });
+      return res.json({ requires_payment: true, order_id: order.id, checkout_url: order.checkout_url });
     }
 
+    const attendee = await issueTicket(db, event, { name, email, tierId: tier ? tier.id : null, answers });
+
+    db.run("UPDATE waitlist SET status = 'claimed', attendee_id = ? WHERE id = ?", [attendee.id, entry.id]);
+    saveDb();
+    publish(db, event.id, 'registration', { attendee: describeAttendee(attendee), guests: 0, from_waitlist: true });
+
+    mailer.sendRsvpConfirmation(event, attendee);
+
+    res.json({ id: attendee.id, name, email, qr_code: attendee.qr_code, event: publicEvent(event), cancel_token: attendee.cancel_token });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to claim spot' });
+  }
+}
+
+// ─── Dashboard ────────────────────────────────────────
+
+router.get('/events/:slug/attendees', requireEventPermission('view_attendees'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+
     // Attendees
-    const attStmt = db.prepare('SELECT id, name, email, checked_in, checked_in_at, cancelled, created_at FROM attendees WHERE event_id = ? ORDER BY created_at DESC');
+    const attStmt = db.prepare(`
+      SELECT a.id, a.name, a.email, a.checked_in, a.checked_in_at, a.cancelled, a.created_at, a.answers, a.registrant_id, a.approval_status, t.name AS ticket
+      FROM attendees a LEFT JOIN ticket_tiers t ON t.id = a.tier_id
+      WHERE a.event_id = ? ORDER BY a.created_at DESC
+    `);
     attStmt.bind([event.id]);
     const attendees = [];
-    while (attStmt.step()) attendees.push(attStmt.getAsObject());
+    while (attStmt.step()) {
+      const attendee = attStmt.getAsObject();
+      attendees.push({ ...attendee, answers: parseAnswers(attendee.answers) });
+    }
     attStmt.free();
 
+    // On multi-day events "checked in" means checked in today
+    const here = checkedInNow(db, event);
+    attendees.forEach(a => { a.checked_in = here.has(a.id) ? 1 : 0; });
+
+    // Pending and declined registrations are listed for review but hold no seat
     const active = attendees.filter(a => !a.cancelled);
-    const checkedIn = active.filter(a => a.checked_in);
+    const approved = active.filter(a => a.approval_status === 'approved');
+    const checkedIn = approved.filter(a => a.checked_in);
 
     // Waitlist count
-    const wlStmt = db.prepare('SELECT COUNT(*) as wl FROM waitlist WHERE event_id = ?');
+    const wlStmt = db.prepare("SELECT COUNT(*) as wl FROM waitlist WHERE event_id = ? AND status IN ('waiting', 'offered')");
     wlStmt.bind([event.id]);
     wlStmt.step();
     const { wl } = wlStmt.getAsObject();
     wlStmt.free();
 
-    // Check-in times for graph
-    const checkinTimes = checkedIn.map(a => a.checked_in_at).filter(Boolean);
-
     res.json({
-      event,
+      event: can(req.eventRole, 'edit') ? event : publicEvent(event),
+      questions: getQuestions(event),
       attendees: active,
-      total: active.length,
+      total: approved.length,
       checked_in: checkedIn.length,
+      pending_count: active.filter(a => a.approval_status === 'pending').length,
       waitlist_count: wl,
-      checkin_times: checkinTimes
+      checkin_times: checkinTimes(db, event),
+      role: req.eventRole,
+      permissions: permissionsFor(req.eventRole)
     });
   } catch (err) {
     console.error(err);
@@ -478,44 +1146,266 @@ router.get('/events/:slug/attendees', requireAuth, async (req, res) => {
   }
 });
 
-// Export CSV
-router.get('/events/:slug/export', requireAuth, async (req, res) => {
+// Live updates for the dashboard and check-in page (see lib/live.js). Same
+// access as the attendee list above.
+router.get('/events/:slug/live', requireEventPermission('view_attendees'), async (req, res) => {
   try {
     const db = await getDb();
+    openStream(db, req, res, req.event);
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to open live updates' });
+  }
+});
 
-    const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
-    eventStmt.bind([req.params.slug]);
-    if (!eventStmt.step()) { eventStmt.free(); return res.status(404).json({ error: 'Event not found' }); }
-    const event = eventStmt.getAsObject();
-    eventStmt.free();
+// Export attendees or the waitlist (see lib/export.js).
+//   ?format=csv (default)  ?type=attendees|waitlist, filters and ?columns=
+//   ?format=xls            attendees and waitlist as sheets of one workbook
+//   ?format=json           the whole event, for backup or migration
+router.get('/events/:slug/export', requireEventPermission('export'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+    const format = req.query.format || 'csv';
+    const type = req.query.type || 'attendees';
 
-    if (event.user_id !== req.session.user.id) {
+    if (!['csv', 'xls', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv, xls or json' });
+    if (!['attendees', 'waitlist'].includes(type)) return res.status(400).json({ error: 'type must be attendees or waitlist' });
+    if ((format !== 'csv' || type === 'waitlist') && !can(req.eventRole, 'view_waitlist')) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    const attStmt = db.prepare('SELECT name, email, checked_in, checked_in_at, cancelled, created_at FROM attendees WHERE event_id = ? ORDER BY created_at ASC');
-    attStmt.bind([event.id]);
-    const rows = [];
-    while (attStmt.step()) rows.push(attStmt.getAsObject());
-    attStmt.free();
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${event.slug}.json"`);
+      return res.json(eventBackup(db, event));
+    }
 
-    let csv = 'Name,Email,Status,Checked In,Checked In At,Registered At\n';
-    rows.forEach(r => {
-      const status = r.cancelled ? 'Cancelled' : (r.checked_in ? 'Checked In' : 'Registered');
-      csv += `"${r.name}","${r.email}","${status}","${r.checked_in ? 'Yes' : 'No'}","${r.checked_in_at || ''}","${r.created_at}"\n`;
-    });
+    const waitlistOnly = format === 'csv' && type === 'waitlist';
+    const { filters, error: filterError } = parseFilters(req.query, waitlistOnly ? WAITLIST_STATUSES : ATTENDEE_STATUSES);
+    if (filterError) return res.status(400).json({ error: filterError });
+
+    const questions = getQuestions(event);
+    const available = allColumns(waitlistOnly ? WAITLIST_COLUMNS : ATTENDEE_COLUMNS, questions);
+    const { columns, error: columnError } = chooseColumns(available, req.query.columns);
+    if (columnError) return res.status(400).json({ error: columnError });
+
+    if (format === 'xls') {
+      const workbook = toWorkbook([
+        { name: 'Attendees', columns, rows: getAttendeeRows(db, event, filters) },
+        { name: 'Waitlist', columns: allColumns(WAITLIST_COLUMNS, questions), rows: getWaitlistRows(db, event) }
+      ]);
+      res.setHeader('Content-Type', 'application/vnd.ms-excel; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${event.slug}.xls"`);
+      return res.send(workbook);
+    }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${event.slug}-attendees.csv"`);
-    res.send(csv);
+    const rows = waitlistOnly ? getWaitlistRows(db, event, filters) : getAttendeeRows(db, event, filters);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${event.slug}-${type}.csv"`);
+    res.send(toCsv(columns, rows));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to export' });
   }
 });
 
-// Check in attendee
-router.post('/attendees/:id/checkin', async (req, res) => {
+// Import attendees from CSV (see lib/import.js). Takes the file as a text/csv
+// body with ?dry_run=1&send_tickets=1, or as JSON { csv, dry_run, send_tickets }.
+// A dry run changes nothing and reports what each row would do.
+router.post('/events/:slug/import', requireEventPermission('edit'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+    const json = req.body && typeof req.body === 'object' ? req.body : {};
+    const csv = typeof req.body === 'string' ? req.body : json.csv;
+    const flag = name => [true, 'true', '1'].includes(json[name] !== undefined ? json[name] : req.query[name]);
+
+    const dryRun = flag('dry_run');
+
+    // Imported guests get tickets like anyone registering, so the same events are closed to them
+    const closed = registrationProblem(event);
+    if (closed) return res.status(400).json({ error: closed });
+
+    // Planned under the seat lock, so the seats it counted are still free when the rows go in
+    const { plan, imported } = await withSeatLock(async () => {
+      const plan = planImport(db, event, csv);
+      if (plan.error || dryRun) return { plan, imported: [] };
+      return { plan, imported: await commitImport(db, event, plan, { user: req.session.user }) };
+    });
+    if (plan.error) return res.status(400).json({ error: plan.error });
+
+    if (dryRun) {
+      return res.json({ dry_run: true, summary: plan.summary, columns: plan.columns, rows: describeRows(plan.rows) });
+    }
+    saveDb();
+
+    const sendTickets = flag('send_tickets');
+    if (sendTickets) imported.forEach(attendee => mailer.sendRsvpConfirmation(event, attendee));
+    if (imported.length) publish(db, event.id, 'registration', { imported: imported.length });
+
+    res.json({ dry_run: false, tickets_sent: sendTickets ? imported.length : 0, summary: plan.summary, columns: plan.columns, rows: describeRows(plan.rows) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to import attendees' });
+  }
+});
+
+// Approves or declines one registration on an approval-only event, emailing
+// the registrant. Returns { attendee, released } or { error, status }.
+async function reviewRegistration(db, event, attendeeId, action) {
+  const stmt = db.prepare('SELECT * FROM attendees WHERE id = ? AND event_id = ?');
+  stmt.bind([attendeeId, event.id]);
+  const attendee = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  if (!attendee) return { error: 'Attendee not found', status: 404 };
+
+  if (action === 'approve') {
+    const result = await approveRegistration(db, event, attendee);
+    if (result.error) return { error: result.error, status: 409 };
+    if (!result.unchanged) mailer.sendRsvpConfirmation(event, result.attendee, result.guests);
+    return { attendee: staffAttendee(result.attendee), released: 0 };
+  }
+
+  const result = declineRegistration(db, attendee);
+  if (result.error) return { error: result.error, status: 409 };
+  if (!result.unchanged) mailer.sendRegistrationDeclined(event, attendee);
+  return { attendee: staffAttendee(result.attendee), released: result.released };
+}
+
+function describeReview(attendee) {
+  return { id: attendee.id, name: attendee.name, approval_status: attendee.approval_status };
+}
+
+// Approve or decline a single registration
+function reviewOne(action) {
+  return async (req, res) => {
+    try {
+      const db = await getDb();
+      const result = await reviewRegistration(db, req.event, req.params.id, action);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      saveDb();
+
+      // Declining someone already approved frees their seats
+      if (result.released) fillOpenSpots(db, req.event);
+      publish(db, req.event.id, 'review', { attendees: [describeAttendee(result.attendee)] });
+
+      res.json({ attendee: describeReview(result.attendee) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: `Failed to ${action} registration` });
+    }
+  };
+}
+
+router.post('/events/:slug/attendees/:id/approve', requireEventPermission('approve'), reviewOne('approve'));
+router.post('/events/:slug/attendees/:id/decline', requireEventPermission('approve'), reviewOne('decline'));
+
+// Bulk approve or decline. Each registration is handled in turn, so approvals
+// stop succeeding once the event fills up; failures are reported per id.
+router.post('/events/:slug/attendees/review', requireEventPermission('approve'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { ids, action } = req.body;
+
+    if (!['approve', 'decline'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or decline' });
+    }
+    if (!Array.isArray(ids) || !ids.length) {
+      return res.status(400).json({ error: 'Choose at least one registration' });
+    }
+
+    const results = [];
+    let released = 0;
+    for (const id of [...new Set(ids)]) {
+      const result = await reviewRegistration(db, req.event, id, action);
+      if (result.error) {
+        results.push({ id, error: result.error });
+      } else {
+        results.push(describeReview(result.attendee));
+        released += result.released;
+      }
+    }
+    saveDb();
+    if (released) fillOpenSpots(db, req.event);
+    const reviewed = results.filter(r => !r.error);
+    if (reviewed.length) publish(db, req.event.id, 'review', { attendees: reviewed });
+
+    res.json({
+      updated: results.filter(r => !r.error).length,
+      failed: results.filter(r => r.error).length,
+      results
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to review registrations' });
+  }
+});
+
+function canCheckIn(db, eventId, user) {
+  const stmt = db.prepare('SELECT * FROM events WHERE id = ?');
+  stmt.bind([eventId]);
+  const event = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return !!event && can(getRole(db, event, user), 'checkin') ? event : null;
+}
+
+// Shared by manual and QR check-in: turns away tickets that can't be used,
+// logging the attempt, and otherwise checks the attendee in.
+// Sends the response either way.
+function respondToCheckin(db, res, event, attendee, source) {
+  let problem = null;
+  if (attendee.cancelled) problem = { status: 400, error: 'This RSVP has been cancelled' };
+  const approvalError = approvalProblem(attendee);
+  if (!problem && approvalError) problem = { status: 409, error: approvalError, approval_status: attendee.approval_status };
+
+  if (problem) {
+    const { status, ...body } = problem;
+    logRejection(db, event, { attendeeId: attendee.id, ...source, reason: body.error });
+    saveDb();
+    return res.status(status).json(body);
+  }
+
+  const { outcome, entry, attendee: updated } = checkIn(db, event, attendee, source);
+  saveDb();
+  publishCheckin(db, event, entry, updated);
+
+  const messages = { checked_in: 'Checked in successfully', re_entry: 'Welcome back', duplicate: 'Already checked in' };
+  res.json({
+    success: true,
+    message: messages[outcome],
+    outcome,
+    already_checked_in: outcome === 'duplicate',
+    re_entry: outcome === 're_entry',
+    entry_id: entry.id,
+    attendee: {
+      id: updated.id,
+      name: updated.name,
+      email: updated.email,
+      event_title: event.title,
+      checked_in: 1,
+      checked_in_at: updated.checked_in_at
+    }
+  });
+}
+
+// Tells the event's screens about a check-in log entry (duplicates change nothing)
+function publishCheckin(db, event, entry, attendee) {
+  if (entry.outcome === 'duplicate') return;
+  publish(db, event.id, 'checkin', {
+    outcome: entry.outcome,
+    entry_id: entry.id,
+    device: entry.device,
+    attendee: { ...describeAttendee(attendee), checked_in: attendee.checked_in, checked_in_at: attendee.checked_in_at }
+  });
+}
+
+// Who made a check-in request, for the check-in log
+function checkinSource(req, method) {
+  return { method, user: req.session.user, device: req.body && req.body.device };
+}
+
+// Check in attendee (older clients; the dashboard and check-in page use the per-event route)
+router.post('/attendees/:id/checkin', requireAuth, async (req, res) => {
   try {
     const db = await getDb();
     const stmt = db.prepare('SELECT * FROM attendees WHERE id = ?');
@@ -524,74 +1414,189 @@ router.post('/attendees/:id/checkin', async (req, res) => {
     const attendee = stmt.getAsObject();
     stmt.free();
 
-    if (attendee.checked_in) {
-      return res.json({ message: 'Already checked in', attendee });
+    const event = canCheckIn(db, attendee.event_id, req.session.user);
+    if (!event) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
 
-    const now = new Date().toISOString();
-    db.run('UPDATE attendees SET checked_in = 1, checked_in_at = ? WHERE id = ?', [now, req.params.id]);
-    saveDb();
+    const closed = checkinProblem(event);
+    if (closed) return res.status(409).json({ error: closed });
+
+    respondToCheckin(db, res, event, attendee, checkinSource(req, 'manual'));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to check in' });
+  }
+});
+
+// An attendee of the event in the URL, or null. Attendees of other events are
+// not found, so staff of one event can't check in people at another.
+function findEventAttendee(db, event, attendeeId) {
+  const stmt = db.prepare('SELECT * FROM attendees WHERE id = ? AND event_id = ?');
+  stmt.bind([attendeeId, event.id]);
+  const attendee = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return attendee;
+}
+
+// Manual check-in from the dashboard and check-in page
+router.post('/events/:slug/attendees/:id/checkin', requireEventPermission('checkin'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+
+    const closed = checkinProblem(event);
+    if (closed) return res.status(409).json({ error: closed });
+
+    const attendee = findEventAttendee(db, event, req.params.id);
+    if (!attendee) return res.status(404).json({ error: 'Attendee not found' });
 
-    res.json({ message: 'Checked in successfully', attendee: { ...attendee, checked_in: 1, checked_in_at: now } });
+    respondToCheckin(db, res, event, attendee, checkinSource(req, 'manual'));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to check in' });
   }
 });
 
-// QR check-in
-router.post('/checkin/qr', async (req, res) => {
+// Undo the attendee's latest check-in, e.g. after a mis-scan. The log keeps
+// both the check-in and the undo.
+router.delete('/events/:slug/attendees/:id/checkin', requireEventPermission('checkin'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+
+    const closed = checkinProblem(event);
+    if (closed) return res.status(409).json({ error: closed });
+
+    const attendee = findEventAttendee(db, event, req.params.id);
+    if (!attendee) return res.status(404).json({ error: 'Attendee not found' });
+
+    const result = undoCheckIn(db, event, attendee, checkinSource(req, 'manual'));
+    if (result.error) return res.status(409).json({ error: result.error });
+    saveDb();
+    publishCheckin(db, event, result.entry, result.attendee);
+
+    res.json({
+      message: 'Check-in undone',
+      entry_id: result.entry.id,
+      undone_checkin_at: result.undone.created_at,
+      attendee: staffAttendee(result.attendee)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to undo check-in' });
+  }
+});
+
+// QR check-in from an event's check-in page. The QR code holds a signed
+// ticket token; tickets for any other event are turned away. Every scan is
+// logged, including the ones turned away.
+router.post('/events/:slug/checkin/qr', requireEventPermission('checkin'), async (req, res) => {
   try {
     const db = await getDb();
-    const { qrData } = req.body;
+    const event = req.event;
+    const source = checkinSource(req, 'qr');
+
+    const reject = (status, error, attendeeId = null) => {
+      logRejection(db, event, { attendeeId, ...source, reason: error });
+      saveDb();
+      res.status(status).json({ error });
+    };
 
-    let parsed;
-    try { parsed = JSON.parse(qrData); } catch { return res.status(400).json({ error: 'Invalid QR code' }); }
+    const closed = checkinProblem(event);
+    if (closed) return reject(409, closed);
 
-    const { attendeeId } = parsed;
-    if (!attendeeId) return res.status(400).json({ error: 'Invalid QR code data' });
+    const ticket = readTicket(req.body.qrData);
+    if (!ticket) return reject(400, 'Invalid QR code');
 
     const stmt = db.prepare('SELECT a.*, e.title as event_title FROM attendees a JOIN events e ON a.event_id = e.id WHERE a.id = ?');
-    stmt.bind([attendeeId]);
-    if (!stmt.step()) { stmt.free(); return res.status(404).json({ error: 'Attendee not found' }); }
+    stmt.bind([ticket.attendeeId]);
+    if (!stmt.step()) { stmt.free(); return reject(404, 'Attendee not found'); }
     const attendee = stmt.getAsObject();
     stmt.free();
 
-    if (attendee.cancelled) {
-      return res.status(400).json({ error: 'This RSVP has been cancelled' });
+    // A reissued ticket replaces the old one, so only the current token is accepted
+    if (attendee.ticket_token !== req.body.qrData.trim() || attendee.event_id !== ticket.eventId) {
+      return reject(400, 'This ticket is no longer valid', attendee.event_id === event.id ? attendee.id : null);
     }
 
-    const alreadyCheckedIn = attendee.checked_in === 1;
-    if (!alreadyCheckedIn) {
-      const now = new Date().toISOString();
-      db.run('UPDATE attendees SET checked_in = 1, checked_in_at = ? WHERE id = ?', [now, attendeeId]);
-      saveDb();
+    if (attendee.event_id !== event.id) {
+      return reject(409, `This ticket is for a different event (${attendee.event_title})`);
     }
 
-    res.json({
-      success: true,
-      already_checked_in: alreadyCheckedIn,
-      attendee: { id: attendee.id, name: attendee.name, email: attendee.email, event_title: attendee.event_title, checked_in: 1 }
-    });
+    respondToCheckin(db, res, event, attendee, source);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to process check-in' });
   }
 });
 
+// Ticket list for a check-in station to work from while offline
+router.get('/events/:slug/checkin/manifest', requireEventPermission('checkin'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const closed = checkinProblem(req.event);
+    if (closed) return res.status(409).json({ error: closed });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(buildManifest(db, req.event, req.session.user));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to build check-in list' });
+  }
+});
+
+// Scans a station recorded offline, sent in one batch when it reconnects.
+// Safe to retry: scans already synced are reported as such.
+router.post('/events/:slug/checkin/sync', requireEventPermission('checkin'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const closed = checkinProblem(req.event);
+    if (closed) return res.status(409).json({ error: closed });
+
+    const result = transaction(db, () => syncScans(db, req.event, req.session.user, req.body));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    saveDb();
+
+    // One update for the whole batch
+    const admitted = result.results.filter(r => r.status === 'checked_in' || r.status === 're_entry');
+    if (admitted.length) {
+      publish(db, req.event.id, 'checkin', {
+        outcome: 'synced',
+        device: req.body.device || null,
+        attendees: admitted.map(r => ({ id: r.attendee_id, name: r.name, checked_in: 1 }))
+      });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to sync check-ins' });
+  }
+});
+
+// The check-in log, newest first. ?attendee_id narrows it to one person.
+router.get('/events/:slug/checkins', requireEventPermission('checkin'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_LOG_ENTRIES);
+    const entries = getLog(db, req.event, { attendeeId: req.query.attendee_id || null, limit });
+    res.json({ entries, session: sessionFor(req.event) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch check-in log' });
+  }
+});
+
 // Waitlist for dashboard
-router.get('/events/:slug/waitlist', requireAuth, async (req, res) => {
+router.get('/events/:slug/waitlist', requireEventPermission('view_waitlist'), async (req, res) => {
   try {
     const db = await getDb();
-    const eventStmt = db.prepare('SELECT * FROM events WHERE slug = ?');
-    eventStmt.bind([req.params.slug]);
-    if (!eventStmt.step()) { eventStmt.free(); return res.status(404).json({ error: 'Event not found' }); }
-    const event = eventStmt.getAsObject();
-    eventStmt.free();
+    const event = req.event;
 
-    if (event.user_id !== req.session.user.id) return res.status(403).json({ error: 'Not authorized' });
+    expireOffers(db);
 
-    const wlStmt = db.prepare('SELECT * FROM waitlist WHERE event_id = ? ORDER BY created_at ASC');
+    const wlStmt = db.prepare('SELECT id, name, email, status AS state, offered_at, offer_expires_at, attendee_id, created_at FROM waitlist WHERE event_id = ? ORDER BY created_at ASC');
     wlStmt.bind([event.id]);
     const waitlist = [];
     while (wlStmt.step()) waitlist.push(wlStmt.getAsObject());
@@ -604,4 +1609,462 @@ router.get('/events/:slug/waitlist', requireAuth, async (req, res) => {
   }
 });
 
+// ─── Team ─────────────────────────────────────────────
+
+const MEMBER_ROLES = ['cohost', 'checkin'];
+const INVITE_DAYS = 14;
+
+function describeMember(member) {
+  return {
+    id: member.id,
+    email: member.email,
+    name: member.name || null,
+    role: member.role,
+    role_label: ROLE_LABELS[member.role],
+    status: member.status,
+    accepted_at: member.accepted_at,
+    created_at: member.created_at
+  };
+}
+
+function getMember(db, eventId, memberId) {
+  const stmt = db.prepare('SELECT * FROM event_members WHERE id = ? AND event_id = ?');
+  stmt.bind([memberId, eventId]);
+  const member = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return member;
+}
+
+// Team members' emails are only shown to those who manage the team, so check-in
+// staff can't collect them
+router.get('/events/:slug/members', requireEventPermission('view_attendees'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+    const showEmails = can(req.eventRole, 'manage_members');
+
+    const stmt = db.prepare(`
+      SELECT m.*, u.name FROM event_members m LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.event_id = ? ORDER BY m.created_at ASC
+    `);
+    stmt.bind([event.id]);
+    const members = [];
+    while (stmt.step()) {
+      const member = describeMember(stmt.getAsObject());
+      members.push(showEmails ? member : { ...member, email: null });
+    }
+    stmt.free();
+
+    res.json({
+      owner: { name: event.host_name, email: showEmails ? event.host_email : null, role: 'owner', role_label: ROLE_LABELS.owner },
+      members
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+// Invite a co-host or check-in staff member by email
+router.post('/events/:slug/members', requireEventPermission('manage_members'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+    const email = (req.body.email || '').trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: `${email} isn't a valid email address` });
+    }
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Role must be cohost or checkin' });
+    }
+    if (email === (event.host_email || '').toLowerCase()) {
+      return res.status(400).json({ error: 'You already own this event' });
+    }
+
+    const existing = db.prepare('SELECT id FROM event_members WHERE event_id = ? AND email = ?');
+    existing.bind([event.id, email]);
+    if (existing.step()) {
+      existing.free();
+      return res.status(409).json({ error: 'This person is already on the team' });
+    }
+    existing.free();
+
+    const id = uuidv4();
+    const inviteToken = tokens.sign({ m: id, exp: Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000 });
+    db.run(
+      'INSERT INTO event_members (id, event_id, email, role, status, invite_token, invited_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, event.id, email, role, 'invited', inviteToken, req.session.user.id]
+    );
+    saveDb();
+
+    const member = getMember(db, event.id, id);
+    mailer.sendMemberInvite(event, member, { inviterName: req.session.user.name, roleLabel: ROLE_LABELS[role] });
+
+    res.json(describeMember(member));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+});
+
+// Change a team member's role
+router.put('/events/:slug/members/:memberId', requireEventPermission('manage_members'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const member = getMember(db, req.event.id, req.params.memberId);
+    if (!member) return res.status(404).json({ error: 'Team member not found' });
+
+    if (!MEMBER_ROLES.includes(req.body.role)) {
+      return res.status(400).json({ error: 'Role must be cohost or checkin' });
+    }
+
+    db.run('UPDATE event_members SET role = ? WHERE id = ?', [req.body.role, member.id]);
+    saveDb();
+
+    res.json(describeMember({ ...member, role: req.body.role }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+});
+
+// Remove a team member or revoke a pending invite
+router.delete('/events/:slug/members/:memberId', requireEventPermission('manage_members'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const member = getMember(db, req.event.id, req.params.memberId);
+    if (!member) return res.status(404).json({ error: 'Team member not found' });
+
+    db.run('DELETE FROM event_members WHERE id = ?', [member.id]);
+    saveDb();
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to remove team member' });
+  }
+});
+
+// Looks up an invite and checks its token. Sends the error response and
+// returns null when the link is bad.
+function findInvite(db, res, id, token) {
+  const stmt = db.prepare(`
+    SELECT m.*, e.title AS event_title, e.slug AS event_slug, e.date AS event_date, e.accent_color
+    FROM event_members m JOIN events e ON e.id = m.event_id WHERE m.id = ?
+  `);
+  stmt.bind([id]);
+  const invite = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+
+  if (!invite || !token || invite.invite_token !== token) {
+    res.status(404).json({ error: 'This invitation is not valid' });
+    return null;
+  }
+  if (invite.status === 'invited' && !tokens.verify(token)) {
+    res.status(410).json({ error: 'This invitation has expired' });
+    return null;
+  }
+  return invite;
+}
+
+// Invite details for the accept page
+router.get('/invites/:id', async (req, res) => {
+  try {
+    const db = await getDb();
+    const invite = findInvite(db, res, req.params.id, req.query.token);
+    if (!invite) return;
+
+    res.json({
+      id: invite.id,
+      email: invite.email,
+      role: invite.role,
+      role_label: ROLE_LABELS[invite.role],
+      status: invite.status,
+      event: { title: invite.event_title, slug: invite.event_slug, date: invite.event_date, accent_color: invite.accent_color }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch invitation' });
+  }
+});
+
+router.post('/invites/:id/accept', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const invite = findInvite(db, res, req.params.id, req.body.token);
+    if (!invite) return;
+
+    if (invite.status === 'active') {
+      if (invite.user_id === req.session.user.id) return res.json({ slug: invite.event_slug, role: invite.role });
+      return res.status(409).json({ error: 'This invitation has already been accepted' });
+    }
+
+    const event = { id: invite.event_id, user_id: null };
+    const ownerStmt = db.prepare('SELECT user_id FROM events WHERE id = ?');
+    ownerStmt.bind([invite.event_id]);
+    if (ownerStmt.step()) event.user_id = ownerStmt.getAsObject().user_id;
+    ownerStmt.free();
+
+    if (getRole(db, event, req.session.user)) {
+      return res.status(409).json({ error: 'You are already on the team for this event' });
+    }
+
+    db.run(
+      "UPDATE event_members SET user_id = ?, status = 'active', accepted_at = ? WHERE id = ?",
+      [req.session.user.id, new Date().toISOString(), invite.id]
+    );
+    saveDb();
+
+    res.json({ slug: invite.event_slug, role: invite.role });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// ─── Private events ───────────────────────────────────
+
+// Unlock a private event with an access code or invitation token. Access is
+// remembered in the session, so the event and register pages work afterwards.
+router.post('/events/:slug/access', async (req, res) => {
+  try {
+    const db = await getDb();
+    const stmt = db.prepare('SELECT * FROM events WHERE slug = ?');
+    stmt.bind([req.params.slug]);
+    const event = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+
+    const access = checkAccess(db, req, event);
+    if (access.recorded) saveDb();
+    if (!access.allowed) {
+      return denyAccess(res, event, access, req.body.invite ? 'This invitation link is no longer valid' : 'That access code isn\'t right');
+    }
+    res.json({ success: true, slug: event.slug });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to check access' });
+  }
+});
+
+// Personal invitation links and whether each has been used
+router.get('/events/:slug/invitations', requireEventPermission('manage_invitations'), async (req, res) => {
+  try {
+    const db = await getDb();
+    res.json({
+      visibility: req.event.visibility || 'public',
+      access_code: req.event.access_code,
+      invitations: listInvitations(db, req.event)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Create links for a list of invitees ({ name, email }), optionally emailing
+// those with an address
+router.post('/events/:slug/invitations', requireEventPermission('manage_invitations'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+    const { invitees, send } = req.body;
+
+    if (!Array.isArray(invitees) || !invitees.length) {
+      return res.status(400).json({ error: 'Add at least one invitee' });
+    }
+    if (invitees.length > MAX_INVITATIONS) {
+      return res.status(400).json({ error: `Create at most ${MAX_INVITATIONS} invitations at a time` });
+    }
+
+    const cleaned = [];
+    for (const raw of invitees) {
+      const name = String((raw && raw.name) || '').trim();
+      const email = String((raw && raw.email) || '').trim().toLowerCase();
+      if (!name && !email) return res.status(400).json({ error: 'Each invitee needs a name or an email' });
+      if (email && !isValidEmail(email)) return res.status(400).json({ error: `${email} isn't a valid email address` });
+      cleaned.push({ name, email });
+    }
+
+    const created = transaction(db, () => createInvitations(db, event, cleaned, req.session.user.id));
+    saveDb();
+
+    let sent = 0;
+    if (send) {
+      created.filter(i => i.email).forEach(invitation => {
+        mailer.sendEventInvitation(event, invitation, { inviterName: req.session.user.name });
+        sent++;
+      });
+    }
+
+    res.json({
+      invitations: created.map(i => ({ id: i.id, name: i.name, email: i.email, url: invitationUrl(event, i) })),
+      sent
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to create invitations' });
+  }
+});
+
+// Revoke an invitation link; sessions that used it lose access too
+router.delete('/events/:slug/invitations/:invitationId', requireEventPermission('manage_invitations'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const stmt = db.prepare('SELECT id FROM event_invitations WHERE id = ? AND event_id = ?');
+    stmt.bind([req.params.invitationId, req.event.id]);
+    const found = stmt.step();
+    stmt.free();
+    if (!found) return res.status(404).json({ error: 'Invitation not found' });
+
+    db.run('UPDATE event_invitations SET revoked = 1 WHERE id = ?', [req.params.invitationId]);
+    saveDb();
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// ─── Host messages ────────────────────────────────────
+
+// Sent messages with their delivery counts, and who each segment would reach
+router.get('/events/:slug/messages', requireEventPermission('message'), async (req, res) => {
+  try {
+    const db = await getDb();
+    res.json({
+      messages: listMessages(db, req.event),
+      segments: SEGMENTS,
+      counts: segmentCounts(db, req.event),
+      limits: { per_hour: MAX_PER_HOUR, per_day: MAX_PER_DAY }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Email a segment of the guests. Answers once the message is recorded; the
+// emails go out afterwards and the history shows their progress.
+router.post('/events/:slug/messages', requireEventPermission('message'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const event = req.event;
+    const result = transaction(db, () => createMessage(db, event, req.session.user, req.body || {}));
+    if (result.error) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(result.status).json({ error: result.error, retry_after: result.retryAfter });
+      }
+      return res.status(result.status).json({ error: result.error });
+    }
+    saveDb();
+
+    res.status(202).json({ message: getMessage(db, event, result.message.id).message });
+    deliverMessage(db, event, result.message).catch(err => console.error(err));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// One message with each recipient's delivery status
+router.get('/events/:slug/messages/:messageId', requireEventPermission('message'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const found = getMessage(db, req.event, req.params.messageId);
+    if (!found) return res.status(404).json({ error: 'Message not found' });
+    res.json(found);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch message' });
+  }
+});
+
+function findUnsubscribe(db, res, token) {
+  const target = readUnsubscribeToken(token);
+  if (!target) {
+    res.status(403).json({ error: 'Invalid unsubscribe link' });
+    return null;
+  }
+  const stmt = db.prepare('SELECT id, title, slug FROM events WHERE id = ?');
+  stmt.bind([target.eventId]);
+  const event = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  if (!event) {
+    res.status(404).json({ error: 'This event no longer exists' });
+    return null;
+  }
+  return { event, email: target.email };
+}
+
+// What an unsubscribe link is for, for its page
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const db = await getDb();
+    const target = findUnsubscribe(db, res, req.params.token);
+    if (!target) return;
+    res.json({
+      event: { title: target.event.title, slug: target.event.slug },
+      email: target.email,
+      unsubscribed: isUnsubscribed(db, target.event.id, target.email)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch unsubscribe link' });
+  }
+});
+
+// Stop (or, with { resubscribe: true }, restart) the host's messages about the
+// event. Mail apps' one-click unsubscribe posts here too.
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const db = await getDb();
+    const target = findUnsubscribe(db, res, req.params.token);
+    if (!target) return;
+
+    const again = req.body && req.body.resubscribe === true;
+    if (again) resubscribe(db, target.event.id, target.email);
+    else unsubscribe(db, target.event.id, target.email);
+    saveDb();
+    res.json({ unsubscribed: !again });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+// ─── Calendar feed ────────────────────────────────────
+
+// The logged-in user's subscription URL
+router.get('/calendar/feed', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const token = getFeedToken(db, req.session.user.id);
+    saveDb();
+    res.json({ url: feedUrl(token) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load calendar feed' });
+  }
+});
+
+// Replace the subscription URL, e.g. after it was shared by mistake
+router.post('/calendar/feed/reset', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const token = resetFeedToken(db, req.session.user.id);
+    saveDb();
+    res.json({ url: feedUrl(token) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
+  }
+});
+
 module.exports = router;
@@ -1,12 +1,70 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
-const { getDb, saveDb } = require('../db');
+const { getDb, saveDb, transaction } = require('../db');
+const mailer = require('../lib/mailer');
+const { withSeatLock } = require('../lib/capacity');
+const { isValidEmail } = require('../lib/validation');
+const { slidingWindow, lockout, tooManyRequests, limitRequests } = require('../lib/rate-limit');
+const { getUser, findUserByEmail, publicUser, passwordProblem, logIn, endOtherSessions, createToken, consumeToken, planDeletion, describePlan, deleteAccount } = require('../lib/accounts');
 
 const router = express.Router();
 
+function requireAuth(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Please log in to continue' });
+  }
+  next();
+}
+
+function sendVerification(db, user, email = user.email) {
+  const token = createToken(db, user, 'verify', email);
+  mailer.sendEmailVerification(user, email, token);
+}
+
+// ─── Limits ───────────────────────────────────────────
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const limitLogins = limitRequests([[slidingWindow({ limit: 30, windowMs: FIFTEEN_MINUTES }), req => req.ip]], 'Too many login attempts');
+const limitSignups = limitRequests([[slidingWindow({ limit: 5, windowMs: HOUR }), req => req.ip]], 'Too many sign-ups from your network');
+const limitResetRequests = limitRequests([
+  [slidingWindow({ limit: 10, windowMs: HOUR }), req => req.ip],
+  [slidingWindow({ limit: 3, windowMs: HOUR }), req => req.body.email && String(req.body.email).trim().toLowerCase()]
+], 'Too many reset requests');
+const limitTokenChecks = limitRequests([[slidingWindow({ limit: 20, windowMs: FIFTEEN_MINUTES }), req => req.ip]], 'Too many attempts');
+const limitResends = limitRequests([[slidingWindow({ limit: 3, windowMs: HOUR }), req => req.session.user && req.session.user.id]], 'Too many verification emails');
+
+// Wrong passwords lock the account's email out for a minute after five in a
+// row, then two, four... up to an hour. Unknown emails count the same way, so
+// a lockout says nothing about whether the account exists. The current
+// password asked for by account settings counts too, so a stolen session
+// can't be used to guess it.
+const failedLogins = lockout({ threshold: 5, baseMs: 60 * 1000, maxMs: HOUR });
+
+// Checks the signed-in user's current password under the login lockout.
+// Sends the 429 or 403 and returns false unless it matches.
+async function confirmPassword(res, user, password, error) {
+  const lockKey = user.email.trim().toLowerCase();
+  const lockedFor = failedLogins.check(lockKey);
+  if (lockedFor) {
+    tooManyRequests(res, lockedFor, 'Too many failed attempts for this account');
+    return false;
+  }
+  if (!password || !(await bcrypt.compare(password, user.password))) {
+    failedLogins.fail(lockKey);
+    res.status(403).json({ error });
+    return false;
+  }
+  failedLogins.succeed(lockKey);
+  return true;
+}
+
+// ─── Signing up and logging in ────────────────────────
+
 // Sign up
-router.post('/signup', async (req, res) => {
+router.post('/signup', limitSignups, async (req, res) => {
   try {
     const db = await getDb();
     const { name, email, password } = req.body;
@@ -15,8 +73,13 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+
+    const problem = passwordProblem(password);
+    if (problem) {
+      return res.status(400).json({ error: problem });
     }
 
     // Check if email exists
@@ -36,12 +99,14 @@ router.post('/signup', async (req, res) => {
       'INSERT INTO users (id, name, email, password) VALUES (?, ?, ?, ?)',
       [id, name, email, hashedPassword]
     );
+    const user = getUser(db, id);
+    sendVerification(db, user);
     saveDb();
 
     // Set session
-    req.session.user = { id, name, email };
+    await logIn(req, user);
 
-    res.json({ user: { id, name, email } });
+    res.json({ user: publicUser(user) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to create account' });
@@ -49,7 +114,7 @@ router.post('/signup', async (req, res) => {
 });
 
 // Log in
-router.post('/login', async (req, res) => {
+router.post('/login', limitLogins, async (req, res) => {
   try {
     const db = await getDb();
     const { email, password } = req.body;
@@ -58,11 +123,18 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    const lockKey = String(email).trim().toLowerCase();
+    const lockedFor = failedLogins.check(lockKey);
+    if (lockedFor) {
+      return tooManyRequests(res, lockedFor, 'Too many failed attempts for this account');
+    }
+
     // Find user
     const stmt = db.prepare('SELECT * FROM users WHERE email = ?');
     stmt.bind([email]);
     if (!stmt.step()) {
       stmt.free();
+      failedLogins.fail(lockKey);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     const user = stmt.getAsObject();
@@ -71,13 +143,15 @@ router.post('/login', async (req, res) => {
     // Check password
     const valid = await bcrypt.compare(password, user.password);
     if (!valid) {
+      failedLogins.fail(lockKey);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    failedLogins.succeed(lockKey);
 
     // Set session
-    req.session.user = { id: user.id, name: user.name, email: user.email };
+    await logIn(req, user);
 
-    res.json({ user: { id: user.id, name: user.name, email: user.email } });
+    res.json({ user: publicUser(user) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to log in' });
@@ -91,4 +165,223 @@ router.post('/logout', (req, res) => {
   });
 });
 
+// ─── Password reset ───────────────────────────────────
+
+// Answers the same whether or not there's an account, so it can't be used to
+// find out who has one
+router.post('/forgot-password', limitResetRequests, async (req, res) => {
+  try {
+    const db = await getDb();
+    const email = String(req.body.email || '').trim();
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = findUserByEmail(db, email);
+    if (user) {
+      mailer.sendPasswordReset(user, createToken(db, user, 'reset'));
+      saveDb();
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to send the reset link' });
+  }
+});
+
+// Sets a new password from an emailed link. Every other session is signed out
+// and this one is logged in.
+router.post('/reset-password', limitTokenChecks, async (req, res) => {
+  try {
+    const db = await getDb();
+    const { token, password } = req.body;
+
+    const problem = passwordProblem(password);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const result = consumeToken(db, 'reset', token);
+    if (result.error) {
+      saveDb();
+      return res.status(400).json({ error: result.error });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    transaction(db, () => {
+      endOtherSessions(db, result.user);
+      db.run('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, result.user.id]);
+      // The link reached the inbox, which is as good as verifying it
+      if (result.email === result.user.email) {
+        db.run('UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?', [new Date().toISOString(), result.user.id]);
+      }
+    });
+    saveDb();
+
+    const user = getUser(db, result.user.id);
+    await logIn(req, user);
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// ─── Email verification ───────────────────────────────
+
+router.post('/verify-email', limitTokenChecks, async (req, res) => {
+  try {
+    const db = await getDb();
+    const result = consumeToken(db, 'verify', req.body.token);
+    if (result.error) {
+      saveDb();
+      return res.status(400).json({ error: result.error });
+    }
+    if (result.email !== result.user.email) {
+      saveDb();
+      return res.status(400).json({ error: 'This link was for an email address the account no longer uses' });
+    }
+
+    db.run('UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?', [new Date().toISOString(), result.user.id]);
+    saveDb();
+
+    const user = getUser(db, result.user.id);
+    if (req.session.user && req.session.user.id === user.id) req.session.user = publicUser(user);
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+router.post('/resend-verification', requireAuth, limitResends, async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = getUser(db, req.session.user.id);
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Your email is already verified' });
+    }
+
+    sendVerification(db, user);
+    saveDb();
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to send the verification email' });
+  }
+});
+
+// ─── Account settings ─────────────────────────────────
+
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = getUser(db, req.session.user.id);
+    res.json({ user: { ...publicUser(user), created_at: user.created_at } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load account' });
+  }
+});
+
+// Changes name, email and/or password. A new email or password needs the
+// current password. A new email has to be verified again; a new password
+// signs out every other session.
+router.put('/me', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = getUser(db, req.session.user.id);
+    const { current_password, new_password } = req.body;
+
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : user.name;
+    const email = req.body.email !== undefined ? String(req.body.email).trim() : user.email;
+    const emailChanged = email !== user.email;
+
+    if (!name || !email) {
+      return res.status(400).json({ error: 'Name and email are required' });
+    }
+    if (emailChanged && !isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+    if (new_password !== undefined && new_password !== '') {
+      const problem = passwordProblem(new_password);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+    }
+
+    const passwordChanged = !!new_password;
+    if (emailChanged || passwordChanged) {
+      if (!(await confirmPassword(res, user, current_password, 'Your current password is incorrect'))) return;
+    }
+
+    if (emailChanged) {
+      const taken = findUserByEmail(db, email);
+      if (taken && taken.id !== user.id) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+    }
+
+    const hashedPassword = passwordChanged ? await bcrypt.hash(new_password, 10) : null;
+    transaction(db, () => {
+      db.run('UPDATE users SET name = ? WHERE id = ?', [name, user.id]);
+      if (emailChanged) {
+        db.run('UPDATE users SET email = ?, email_verified_at = NULL WHERE id = ?', [email, user.id]);
+      }
+      if (passwordChanged) {
+        db.run('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+        endOtherSessions(db, user);
+      }
+    });
+
+    const updated = getUser(db, user.id);
+    if (emailChanged) {
+      sendVerification(db, updated);
+      mailer.sendAccountChanged(user, user.email, `the email address for your Gather account was changed to ${email}`);
+    }
+    if (passwordChanged) {
+      mailer.sendAccountChanged(updated, updated.email, 'the password for your Gather account was changed');
+    }
+    saveDb();
+
+    await logIn(req, updated);
+    res.json({ user: publicUser(updated) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+// ─── Deleting an account ──────────────────────────────
+
+// What deleting the account would do to each event the user owns
+router.get('/me/deletion', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = getUser(db, req.session.user.id);
+    res.json({ events: describePlan(planDeletion(db, user)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load your events' });
+  }
+});
+
+router.delete('/me', requireAuth, async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = getUser(db, req.session.user.id);
+
+    if (!(await confirmPassword(res, user, req.body.password, 'Your password is incorrect'))) return;
+
+    const plan = await withSeatLock(() => deleteAccount(db, user));
+    req.session.destroy(() => {
+      res.json({ success: true, events: describePlan(plan) });
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const { getDb } = require('../db');
+const config = require('../lib/config');
+const payments = require('../lib/payments');
+const { getOrder, handlePaymentEvent } = require('../lib/orders');
+
+const router = express.Router();
+
+function describeOrder(db, order) {
+  const stmt = db.prepare(`
+    SELECT e.title AS event_title, e.slug AS event_slug, e.accent_color, t.name AS tier_name
+    FROM events e LEFT JOIN ticket_tiers t ON t.id = ?
+    WHERE e.id = ?
+  `);
+  stmt.bind([order.tier_id, order.event_id]);
+  stmt.step();
+  const info = stmt.getAsObject();
+  stmt.free();
+
+  return {
+    id: order.id,
+    status: order.status,
+    name: order.name,
+    email: order.email,
+    amount: order.amount,
+    currency: order.currency,
+    attendee_id: order.attendee_id,
+    expires_at: order.expires_at,
+    ...info
+  };
+}
+
+// Order status, polled by the register page after returning from checkout
+router.get('/orders/:id', async (req, res) => {
+  try {
+    const db = await getDb();
+    const order = getOrder(db, req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json(describeOrder(db, order));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+// Provider webhooks
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const db = await getDb();
+
+    let provider;
+    try { provider = payments.getProvider(req.params.provider); } catch { return res.status(404).json({ error: 'Unknown payment provider' }); }
+
+    let event;
+    try { event = provider.parseWebhook(req); } catch { return res.status(400).json({ error: 'Invalid webhook signature' }); }
+
+    const order = await handlePaymentEvent(db, provider.name, event);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    res.json({ received: true, status: order.status });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// ─── Fake provider checkout ───────────────────────────
+
+// Only mounted when PAYMENT_PROVIDER=fake outside production: completing a
+// fake checkout issues a paid ticket without any payment
+const fakeCheckout = express.Router();
+
+function findFakeOrder(db, reference) {
+  const stmt = db.prepare("SELECT * FROM orders WHERE provider = 'fake' AND provider_ref = ?");
+  stmt.bind([reference]);
+  const order = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return order;
+}
+
+fakeCheckout.get('/:reference', async (req, res) => {
+  try {
+    const db = await getDb();
+    const order = findFakeOrder(db, req.params.reference);
+    if (!order) return res.status(404).json({ error: 'Checkout not found' });
+    const info = describeOrder(db, order);
+    res.json({ ...info, return_url: `/event/${info.event_slug}/register?order=${order.id}` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch checkout' });
+  }
+});
+
+// Simulates the buyer paying (or declining) at the gateway. The outcome goes
+// through the same signed webhook path a real provider would use.
+fakeCheckout.post('/:reference/complete', async (req, res) => {
+  try {
+    const db = await getDb();
+    const order = findFakeOrder(db, req.params.reference);
+    if (!order) return res.status(404).json({ error: 'Checkout not found' });
+
+    const fake = payments.getProvider('fake');
+    const webhook = fake.simulate(req.params.reference, req.body.outcome === 'success' ? 'success' : 'failed');
+    const updated = await handlePaymentEvent(db, fake.name, fake.parseWebhook(webhook));
+
+    res.json(describeOrder(db, updated));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to complete checkout' });
+  }
+});
+
+if (config.fakePayments) router.use('/fake', fakeCheckout);
+
+module.exports = router;
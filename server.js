@@ -1,41 +1,75 @@
 const express = require('express');
 const session = require('express-session');
-const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
-const { getDb } = require('./db');
+const { getDb, saveDb, flushDb } = require('./db');
+const { expireOffers } = require('./lib/waitlist');
+const { expireOrders } = require('./lib/orders');
+const { reissueLegacyTickets } = require('./lib/tickets');
+const { buildCalendar, getFeedEvents, findFeedUser } = require('./lib/calendar');
+const { backfillEventTimes, formatEventWhen } = require('./lib/timezones');
+const { backfillCheckinLog } = require('./lib/checkins');
+const { resumeMessages } = require('./lib/messages');
+const { checkSession } = require('./lib/accounts');
+const config = require('./lib/config');
+const { SqliteStore, pruneSessions } = require('./lib/session-store');
+const { issueCsrfCookie, requireCsrfToken } = require('./lib/csrf');
 const apiRoutes = require('./routes/api');
 const authRoutes = require('./routes/auth');
+const paymentRoutes = require('./routes/payments');
+
+if (config.errors.length) {
+  config.errors.forEach(error => console.error(`  ✗ ${error}`));
+  process.exit(1);
+}
+config.warnings.forEach(warning => console.warn(`  ! ${warning}`));
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
+const PORT = config.port;
+const BASE_URL = config.baseUrl;
+
+// Behind a reverse proxy, this is what lets req.secure and req.ip see the
+// client's connection rather than the proxy's
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
+app.use(issueCsrfCookie);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Sessions
 app.use(session({
-  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  store: new SqliteStore(),
+  secret: config.sessionSecret,
   resave: false,
   saveUninitialized: false,
   cookie: {
-    secure: false,
+    secure: config.cookie.secure,
+    sameSite: config.cookie.sameSite,
     httpOnly: true,
-    maxAge: 7 * 24 * 60 * 60 * 1000
+    maxAge: config.sessionMaxAgeMs
   }
 }));
 
+// Drops sessions of deleted accounts and of passwords changed since login
+app.use(checkSession);
+
 app.use((req, res, next) => {
   res.locals.user = req.session.user || null;
   next();
 });
 
+// Changes through the API need the CSRF token, except from payment providers
+// and mail clients' one-click unsubscribe
+app.use('/api', requireCsrfToken({
+  exempt: req => req.path.startsWith('/payments/webhook/') || req.path.startsWith('/unsubscribe/')
+}));
+
 // API routes
 app.use('/api', apiRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/payments', paymentRoutes);
 
 app.get('/api/me', (req, res) => {
   res.json({ user: req.session.user || null });
@@ -50,13 +84,16 @@ app.get('/event/:slug', async (req, res) => {
 
     let html = fs.readFileSync(path.join(__dirname, 'views', 'event.html'), 'utf8');
 
-    if (stmt.step()) {
-      const event = stmt.getAsObject();
-      stmt.free();
+    const event = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
 
-      const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-      const d = new Date(event.date + 'T00:00:00');
-      const dateStr = `${months[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+    // Private events show nothing to link previews; only public ones get indexed
+    if (event && event.visibility === 'private') {
+      html = html.replace('<title>Event — Gather</title>', `<meta name="robots" content="noindex" />
+    <title>Private event — Gather</title>`);
+    } else if (event) {
+      // Crawlers have no time zone of their own, so show the event's
+      const dateStr = formatEventWhen(event);
 
       const ogTags = `
     <meta property="og:title" content="${event.title}" />
@@ -66,12 +103,11 @@ app.get('/event/:slug', async (req, res) => {
     <meta property="og:site_name" content="Gather" />
     <meta name="twitter:card" content="summary_large_image" />
     <meta name="twitter:title" content="${event.title}" />
-    <meta name="twitter:description" content="${event.description || `${dateStr} · ${event.location}`}" />
+    <meta name="twitter:description" content="${event.description || `${dateStr} · ${event.location}`}" />${event.visibility === 'unlisted' ? `
+    <meta name="robots" content="noindex" />` : ''}
     <title>${event.title} — Gather</title>`;
 
       html = html.replace('<title>Event — Gather</title>', ogTags);
-    } else {
-      stmt.free();
     }
 
     res.send(html);
@@ -80,11 +116,31 @@ app.get('/event/:slug', async (req, res) => {
   }
 });
 
+// ─── Calendar subscription feed ───────────────────────
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = findFeedUser(db, req.params.token);
+    if (!user) return res.status(404).send('Calendar not found');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(buildCalendar(getFeedEvents(db, user), { name: `Gather — ${user.name}` }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Failed to build calendar');
+  }
+});
+
 // ─── Static page routes ───────────────────────────────
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'views', 'home.html')));
 app.get('/browse', (req, res) => res.sendFile(path.join(__dirname, 'views', 'browse.html')));
 app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'views', 'login.html')));
 app.get('/signup', (req, res) => res.sendFile(path.join(__dirname, 'views', 'signup.html')));
+app.get('/forgot-password', (req, res) => res.sendFile(path.join(__dirname, 'views', 'forgot-password.html')));
+app.get('/reset-password/:token', (req, res) => res.sendFile(path.join(__dirname, 'views', 'reset-password.html')));
+app.get('/verify-email/:token', (req, res) => res.sendFile(path.join(__dirname, 'views', 'verify-email.html')));
+app.get('/account', (req, res) => res.sendFile(path.join(__dirname, 'views', 'account.html')));
 app.get('/create', (req, res) => res.sendFile(path.join(__dirname, 'views', 'create.html')));
 app.get('/my-events', (req, res) => res.sendFile(path.join(__dirname, 'views', 'my-events.html')));
 app.get('/event/:slug/edit', (req, res) => res.sendFile(path.join(__dirname, 'views', 'edit.html')));
@@ -93,10 +149,64 @@ app.get('/event/:slug/confirmation/:attendeeId', (req, res) => res.sendFile(path
 app.get('/event/:slug/dashboard', (req, res) => res.sendFile(path.join(__dirname, 'views', 'dashboard.html')));
 app.get('/event/:slug/checkin', (req, res) => res.sendFile(path.join(__dirname, 'views', 'checkin.html')));
 app.get('/cancel/:attendeeId/:token', (req, res) => res.sendFile(path.join(__dirname, 'views', 'cancel.html')));
+app.get('/claim/:waitlistId/:token', (req, res) => res.sendFile(path.join(__dirname, 'views', 'claim.html')));
+app.get('/unsubscribe/:token', (req, res) => res.sendFile(path.join(__dirname, 'views', 'unsubscribe.html')));
+app.get('/invite/:memberId/:token', (req, res) => res.sendFile(path.join(__dirname, 'views', 'invite.html')));
+if (config.fakePayments) {
+  app.get('/checkout/fake/:reference', (req, res) => res.sendFile(path.join(__dirname, 'views', 'checkout.html')));
+}
 
 // Initialize DB and start server
 async function start() {
-  await getDb();
+  const db = await getDb();
+
+  // Events saved before time zones existed are read in DEFAULT_TIMEZONE
+  const backfilled = backfillEventTimes(db);
+  if (backfilled) {
+    saveDb();
+    console.log(`  Added time zones to ${backfilled} event(s)`);
+  }
+
+  // Check-ins from before the check-in log get an entry each
+  const logged = backfillCheckinLog(db);
+  if (logged) {
+    saveDb();
+    console.log(`  Added ${logged} earlier check-in(s) to the check-in log`);
+  }
+
+  // Tickets that are unsigned or signed with an old secret can't be scanned
+  const reissued = await reissueLegacyTickets(db);
+  if (reissued) {
+    saveDb();
+    console.log(`  Reissued ${reissued} QR ticket(s) that could not be verified`);
+  }
+
+  // Sessions that ran out while the server was down
+  pruneSessions(db);
+
+  // Host messages a restart cut off part-way through carry on sending
+  const resumed = resumeMessages(db);
+  if (resumed) console.log(`  Resuming ${resumed} host message(s) that were still sending`);
+
+  // Release lapsed checkouts and roll expired waitlist offers over to the next person in line
+  setInterval(() => {
+    try {
+      expireOrders(db);
+      expireOffers(db);
+    } catch (err) { console.error(err); }
+  }, 60 * 1000).unref();
+
+  // Changes are written to disk shortly after they happen; write out the last
+  // of them before stopping
+  const shutdown = signal => {
+    console.log(`\n  ${signal} received, saving the database and stopping`);
+    flushDb();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+  process.on('exit', flushDb);
+
   app.listen(PORT, () => {
     console.log(`\n  ✦ Gather is running at http://localhost:${PORT}\n`);
   });